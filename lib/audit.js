@@ -0,0 +1,60 @@
+const AuditLog = require('../models/AuditLog');
+
+// Bookkeeping fields that never appear in a diff
+const IGNORED_FIELDS = ['_id', '__v', 'updatedAt'];
+
+// Plain-object copy of a document (or null) that is safe to compare and store
+const snapshot = (doc) => {
+  if (!doc) {
+    return null;
+  }
+  const plain = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc;
+  return JSON.parse(JSON.stringify(plain));
+};
+
+// Top-level field differences between two snapshots
+const diff = (before, after) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = [];
+
+  fields.forEach(field => {
+    if (IGNORED_FIELDS.includes(field)) {
+      return;
+    }
+    const previous = before ? before[field] : undefined;
+    const next = after ? after[field] : undefined;
+    if (JSON.stringify(previous) !== JSON.stringify(next)) {
+      changes.push({ field, before: previous === undefined ? null : previous, after: next === undefined ? null : next });
+    }
+  });
+
+  return changes;
+};
+
+// Record an audit entry for the current request.
+// `before` / `after` are documents or snapshots; pass only `after` for creations and only
+// `before` for deletions. Failures are logged but never break the request.
+const recordAudit = async (req, { action, entityType, entityId = null, before = null, after = null, metadata = null }) => {
+  try {
+    const changes = diff(snapshot(before), snapshot(after));
+
+    await AuditLog.create({
+      organization: req.organizationId,
+      actor: req.user ? req.user._id : null,
+      actorName: req.user ? req.user.name : '',
+      actorEmail: req.user ? req.user.email : '',
+      apiKey: req.apiKey ? req.apiKey._id : null,
+      action,
+      entityType,
+      entityId,
+      changes,
+      metadata,
+      ip: req.ip || '',
+      userAgent: (req.headers['user-agent'] || '').substring(0, 300)
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+};
+
+module.exports = { recordAudit, snapshot };
@@ -0,0 +1,32 @@
+const Organization = require('../models/Organization');
+const Settings = require('../models/Settings');
+const User = require('../models/User');
+
+const BUSINESS_FIELDS = ['businessName', 'businessType'];
+
+// Pick the business fields present in a request body
+const pickBusinessInfo = (data) => {
+  const info = {};
+  BUSINESS_FIELDS.forEach(field => {
+    if (data[field] !== undefined && data[field] !== null && data[field] !== '') {
+      info[field] = typeof data[field] === 'string' ? data[field].trim() : data[field];
+    }
+  });
+  return info;
+};
+
+// businessName/businessType are copied into Settings, the Organization and every user of
+// the business at setup. Keep all copies in sync whenever one of them is edited.
+const syncBusinessInfo = async (organizationId, info) => {
+  if (Object.keys(info).length === 0) {
+    return;
+  }
+
+  await Promise.all([
+    Settings.updateOne({ organization: organizationId }, { ...info, updatedAt: Date.now() }, { runValidators: true }),
+    User.updateMany({ organization: organizationId }, info, { runValidators: true }),
+    info.businessName ? Organization.updateOne({ _id: organizationId }, { name: info.businessName }) : null
+  ]);
+};
+
+module.exports = { BUSINESS_FIELDS, pickBusinessInfo, syncBusinessInfo };
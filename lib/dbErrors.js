@@ -0,0 +1,6 @@
+// Helpers for telling MongoDB errors apart
+
+// A unique index rejected the write (E11000)
+const isDuplicateKeyError = (error) => Boolean(error) && error.code === 11000;
+
+module.exports = { isDuplicateKeyError };
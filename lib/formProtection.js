@@ -0,0 +1,251 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const UsedFormToken = require('../models/UsedFormToken');
+const { isDuplicateKeyError } = require('./dbErrors');
+
+// Spam and bot protection for the public poll and booking forms.
+// Each poll and venue turns on any of these layers in its formProtection settings:
+//   honeypot       - a hidden field people never fill in
+//   minFillSeconds - the form must stay open at least this long before it's sent
+//   proofOfWork    - the browser must solve a small hashing puzzle (difficulty in bits)
+//   captcha        - a token checked by the configured captcha verifier
+// Fill time and proof of work rely on a signed form token handed out by the public GET
+// endpoints. Each token is good for one submission or booking.
+
+const HONEYPOT_FIELD = 'website';
+const FORM_TOKEN_HOURS = parseInt(process.env.FORM_TOKEN_HOURS) || 12;
+const MAX_FILL_SECONDS = 3600;
+// Every extra bit doubles the work; 24 bits already takes a phone several seconds
+const MAX_POW_DIFFICULTY = 24;
+
+// Captcha verification is pluggable like the mail transports.
+// A verifier is any object with an async `verify(token, { ip })` method that resolves to
+// true or false. Pick one with CAPTCHA_PROVIDER, or register your own (e.g. for a hosted
+// captcha service) with registerCaptchaVerifier().
+
+// Local stub - accepts CAPTCHA_LOCAL_TOKEN, for development and automated tests only.
+// It accepts nothing without that token and refuses to run in production, so a
+// forgotten CAPTCHA_PROVIDER fails closed instead of letting everything through.
+const localVerifier = () => ({
+  local: true,
+  async verify(token) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('The local captcha verifier is not available in production, set CAPTCHA_PROVIDER');
+    }
+    return Boolean(process.env.CAPTCHA_LOCAL_TOKEN) && token === process.env.CAPTCHA_LOCAL_TOKEN;
+  }
+});
+
+const verifierFactories = {
+  local: localVerifier
+};
+
+let activeVerifier = null;
+
+const registerCaptchaVerifier = (name, factory) => {
+  verifierFactories[name] = factory;
+};
+
+// Replace the verifier in use (tests can pass their own here)
+const setCaptchaVerifier = (verifier) => {
+  activeVerifier = verifier;
+};
+
+const getCaptchaVerifier = () => {
+  if (!activeVerifier) {
+    const name = process.env.CAPTCHA_PROVIDER || 'local';
+    const factory = verifierFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown captcha verifier "${name}"`);
+    }
+    activeVerifier = factory();
+  }
+  return activeVerifier;
+};
+
+// Whether captchas can be checked at all: a registered verifier, or the local stub
+// outside production with its token set
+const isCaptchaConfigured = () => {
+  try {
+    const verifier = getCaptchaVerifier();
+    return !verifier.local || (process.env.NODE_ENV !== 'production' && Boolean(process.env.CAPTCHA_LOCAL_TOKEN));
+  } catch (error) {
+    return false;
+  }
+};
+
+const needsFormToken = (settings) => settings.minFillSeconds > 0 || settings.proofOfWork > 0;
+
+const isProtected = (settings) => Boolean(settings && (settings.honeypot || settings.captcha || needsFormToken(settings)));
+
+// Number of leading zero bits of a hash
+const leadingZeroBits = (buffer) => {
+  let bits = 0;
+  for (const byte of buffer) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+};
+
+// The puzzle: find a nonce so that sha256("<challenge>:<nonce>") starts with `difficulty` zero bits
+const checkProofOfWork = (challenge, nonce, difficulty) => {
+  if ((typeof nonce !== 'string' && typeof nonce !== 'number') || String(nonce).length > 64) {
+    return false;
+  }
+  const hash = crypto.createHash('sha256').update(`${challenge}:${nonce}`).digest();
+  return leadingZeroBits(hash) >= difficulty;
+};
+
+// Validates formProtection settings from a create or update request, merged over the
+// current ones. Returns { error } or { formProtection }.
+const readFormProtection = (input, current = {}) => {
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Form protection must be an object' };
+  }
+
+  const settings = {
+    honeypot: input.honeypot !== undefined ? input.honeypot : Boolean(current.honeypot),
+    minFillSeconds: input.minFillSeconds !== undefined ? input.minFillSeconds : current.minFillSeconds || 0,
+    proofOfWork: input.proofOfWork !== undefined ? input.proofOfWork : current.proofOfWork || 0,
+    captcha: input.captcha !== undefined ? input.captcha : Boolean(current.captcha)
+  };
+
+  if (typeof settings.honeypot !== 'boolean' || typeof settings.captcha !== 'boolean') {
+    return { error: 'Form protection honeypot and captcha must be true or false' };
+  }
+  if (input.captcha === true && !isCaptchaConfigured()) {
+    return { error: 'No captcha verifier is configured on this server (CAPTCHA_PROVIDER)' };
+  }
+  if (!Number.isInteger(settings.minFillSeconds) || settings.minFillSeconds < 0 || settings.minFillSeconds > MAX_FILL_SECONDS) {
+    return { error: `The minimum fill time must be a whole number of seconds from 0 to ${MAX_FILL_SECONDS}` };
+  }
+  if (!Number.isInteger(settings.proofOfWork) || settings.proofOfWork < 0 || settings.proofOfWork > MAX_POW_DIFFICULTY) {
+    return { error: `The proof-of-work difficulty must be a whole number from 0 to ${MAX_POW_DIFFICULTY}` };
+  }
+
+  return { formProtection: settings };
+};
+
+// What the public form needs to pass the enabled layers, or null when nothing is enabled.
+// `target` names the form, e.g. "poll:<id>" or "venue:<id>".
+const issueFormChallenge = (target, settings) => {
+  if (!isProtected(settings)) {
+    return null;
+  }
+
+  let formToken = null;
+  let challenge = null;
+  let expiresAt = null;
+  if (needsFormToken(settings)) {
+    challenge = crypto.randomBytes(16).toString('hex');
+    formToken = jwt.sign({ target, challenge, purpose: 'form' }, process.env.JWT_SECRET, { expiresIn: `${FORM_TOKEN_HOURS}h` });
+    expiresAt = new Date(Date.now() + FORM_TOKEN_HOURS * 60 * 60 * 1000);
+  }
+
+  return {
+    honeypotField: settings.honeypot ? HONEYPOT_FIELD : null,
+    formToken,
+    formTokenExpiresAt: expiresAt,
+    minFillSeconds: settings.minFillSeconds || 0,
+    proofOfWork: settings.proofOfWork > 0
+      ? { algorithm: 'sha256', challenge, difficulty: settings.proofOfWork }
+      : null,
+    captcha: settings.captcha
+      ? { provider: process.env.CAPTCHA_PROVIDER || 'local', siteKey: process.env.CAPTCHA_SITE_KEY || null }
+      : null
+  };
+};
+
+const verifyFormToken = (token, target) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === 'form' && decoded.target === target ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const reject = (status, message, code, extra = {}) => ({ error: { status, message, code, ...extra } });
+
+// Checks a submission or booking against the enabled layers. Reads the honeypot field,
+// formToken, powNonce and captchaToken from the body. Returns { error: { status, message,
+// code } } or { token } (the used form token, to give back with releaseFormCheck if the
+// request fails later on).
+const checkForm = async (req, target, settings) => {
+  if (!isProtected(settings)) {
+    return { token: null };
+  }
+  const body = req.body || {};
+
+  if (settings.honeypot && body[HONEYPOT_FIELD]) {
+    return reject(400, 'This form could not be submitted', 'FORM_REJECTED');
+  }
+
+  let decoded = null;
+  if (needsFormToken(settings)) {
+    decoded = typeof body.formToken === 'string' ? verifyFormToken(body.formToken, target) : null;
+    if (!decoded) {
+      return reject(400, 'This form has expired, please reload the page and try again', 'FORM_TOKEN_INVALID');
+    }
+
+    const waitSeconds = Math.ceil(decoded.iat + settings.minFillSeconds - Date.now() / 1000);
+    if (settings.minFillSeconds > 0 && waitSeconds > 0) {
+      return reject(400, 'This form was sent too quickly, please try again in a moment', 'FORM_TOO_FAST', { retryAfter: waitSeconds });
+    }
+
+    if (settings.proofOfWork > 0 && !checkProofOfWork(decoded.challenge, body.powNonce, settings.proofOfWork)) {
+      return reject(400, 'The proof-of-work solution is missing or wrong', 'POW_INVALID');
+    }
+  }
+
+  if (settings.captcha) {
+    let passed = false;
+    try {
+      passed = typeof body.captchaToken === 'string' && body.captchaToken !== ''
+        && await getCaptchaVerifier().verify(body.captchaToken, { ip: req.ip });
+    } catch (error) {
+      console.error('Captcha verification error:', error);
+      return reject(503, 'The captcha could not be checked, please try again', 'CAPTCHA_UNAVAILABLE');
+    }
+    if (!passed) {
+      return reject(400, 'Please complete the captcha', 'CAPTCHA_FAILED');
+    }
+  }
+
+  // Last, so a form that fails any check can be corrected and sent again
+  if (decoded) {
+    try {
+      await UsedFormToken.create({ challenge: decoded.challenge, expiresAt: new Date(decoded.exp * 1000) });
+    } catch (error) {
+      if (!isDuplicateKeyError(error)) {
+        throw error;
+      }
+      return reject(409, 'This form has already been sent, please reload the page', 'FORM_TOKEN_USED');
+    }
+    return { token: decoded.challenge };
+  }
+
+  return { token: null };
+};
+
+// Makes the form token usable again when the submission or booking didn't go through
+const releaseFormCheck = async (check) => {
+  if (check && check.token) {
+    await UsedFormToken.deleteOne({ challenge: check.token });
+  }
+};
+
+module.exports = {
+  HONEYPOT_FIELD,
+  registerCaptchaVerifier,
+  setCaptchaVerifier,
+  getCaptchaVerifier,
+  readFormProtection,
+  issueFormChallenge,
+  checkForm,
+  releaseFormCheck
+};
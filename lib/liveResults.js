@@ -0,0 +1,147 @@
+const jwt = require('jsonwebtoken');
+const Poll = require('../models/Poll');
+const { summarizePoll } = require('./pollResults');
+
+// Live poll results over Server-Sent Events.
+// Subscribers are kept in memory, so with several server instances each instance
+// only pushes the submissions it stored itself.
+
+const HEARTBEAT_MS = (parseInt(process.env.SSE_HEARTBEAT_SECONDS) || 25) * 1000;
+// Bursts of submissions are folded into one push
+const PUSH_DELAY_MS = 500;
+const RECONNECT_MS = 5000;
+const TICKET_EXPIRE = '1m';
+
+// pollId → Set of { res, transform, check, close }
+const channels = new Map();
+const pendingPushes = new Map();
+
+const sendEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const buildPayload = async (poll) => ({
+  pollId: poll._id,
+  status: poll.getEffectiveStatus(),
+  updatedAt: new Date(),
+  ...(await summarizePoll(poll))
+});
+
+// Turns the response into an event stream for a poll and keeps it open until the client leaves.
+// `transform(payload, poll)` can trim the payload for less privileged audiences.
+// `check(poll)` runs again before every push with the freshly loaded poll; once it resolves
+// to false (or fails) the subscriber gets a "closed" event and the stream ends.
+const subscribe = async (req, res, poll, { transform = payload => payload, check = async () => true } = {}) => {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RECONNECT_MS}\n\n`);
+
+  const pollId = String(poll._id);
+  // Comment lines keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+  const subscriber = {
+    res,
+    transform,
+    check,
+    close: () => {
+      clearInterval(heartbeat);
+      const subscribers = channels.get(pollId);
+      if (subscribers) {
+        subscribers.delete(subscriber);
+        if (subscribers.size === 0) {
+          channels.delete(pollId);
+        }
+      }
+    }
+  };
+  if (!channels.has(pollId)) {
+    channels.set(pollId, new Set());
+  }
+  channels.get(pollId).add(subscriber);
+
+  req.on('close', subscriber.close);
+
+  sendEvent(res, 'results', transform(await buildPayload(poll), poll));
+};
+
+// Ends a subscriber's stream with a final event
+const endSubscriber = (subscriber, event, data) => {
+  sendEvent(subscriber.res, event, data);
+  subscriber.res.end();
+  subscriber.close();
+};
+
+// Whether the subscriber may still see the poll; a failing check counts as a no
+const isStillAllowed = async (subscriber, poll) => {
+  try {
+    return Boolean(await subscriber.check(poll));
+  } catch (error) {
+    console.error('Live results access check error:', error);
+    return false;
+  }
+};
+
+const pushResults = async (pollId) => {
+  pendingPushes.delete(pollId);
+  const subscribers = channels.get(pollId);
+  if (!subscribers || subscribers.size === 0) {
+    return;
+  }
+
+  try {
+    const poll = await Poll.findById(pollId);
+    if (!poll) {
+      [...subscribers].forEach(subscriber => endSubscriber(subscriber, 'deleted', { pollId }));
+      return;
+    }
+
+    const payload = await buildPayload(poll);
+    await Promise.all([...subscribers].map(async (subscriber) => {
+      if (!await isStillAllowed(subscriber, poll)) {
+        return endSubscriber(subscriber, 'closed', { pollId, message: 'You no longer have access to these results' });
+      }
+      sendEvent(subscriber.res, 'results', subscriber.transform(payload, poll));
+    }));
+  } catch (error) {
+    console.error('Live results push error:', error);
+  }
+};
+
+// Called whenever a poll's submissions change. Never throws and never blocks the request.
+const notifyPollUpdated = (pollId) => {
+  const key = String(pollId);
+  if (!channels.has(key) || pendingPushes.has(key)) {
+    return;
+  }
+  const timer = setTimeout(() => pushResults(key), PUSH_DELAY_MS);
+  timer.unref();
+  pendingPushes.set(key, timer);
+};
+
+// EventSource can't send an Authorization header, so the dashboard first asks for a
+// short-lived ticket and passes it as ?ticket=. The ticket carries the access grant (see
+// accessGrant in middleware/auth.js) so the stream can be checked again on every push. It
+// has no `sid` claim, so `protect` never accepts it as an access token.
+const signLiveTicket = (poll, grant) => jwt.sign(
+  { ...grant, poll: String(poll._id), organization: String(poll.organization), purpose: 'live-results' },
+  process.env.JWT_SECRET,
+  { expiresIn: TICKET_EXPIRE }
+);
+
+const verifyLiveTicket = (token, pollId) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === 'live-results' && decoded.poll === String(pollId) ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = { subscribe, notifyPollUpdated, signLiveTicket, verifyLiveTicket };
@@ -0,0 +1,158 @@
+const LoginAttempt = require('../models/LoginAttempt');
+const LoginThrottle = require('../models/LoginThrottle');
+const { isDuplicateKeyError } = require('./dbErrors');
+
+// Per-account and per-IP protection against credential stuffing.
+// After EMAIL_MAX_FAILURES (or IP_MAX_FAILURES) consecutive failures the key is locked,
+// and every further failure doubles the lock: 30s, 1m, 2m, 4m ... capped at LOCKOUT_MAX_MINUTES.
+
+const EMAIL_MAX_FAILURES = parseInt(process.env.LOGIN_EMAIL_MAX_FAILURES) || 5;
+const IP_MAX_FAILURES = parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 20;
+const LOCKOUT_BASE_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_BASE_SECONDS) || 30;
+const LOCKOUT_MAX_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES) || 60;
+const FAILURE_WINDOW_HOURS = 24;
+const HISTORY_RETENTION_DAYS = parseInt(process.env.LOGIN_HISTORY_RETENTION_DAYS) || 90;
+
+const emailKey = (email) => `email:${String(email || '').toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip || 'unknown'}`;
+
+const lockDurationMs = (failures, maxFailures) => {
+  const exponent = failures - maxFailures;
+  const seconds = Math.min(LOCKOUT_BASE_SECONDS * 2 ** exponent, LOCKOUT_MAX_MINUTES * 60);
+  return seconds * 1000;
+};
+
+// Returns { locked: false } or { locked: true, scope: 'email' | 'ip', retryAfter } (seconds)
+const getLockStatus = async (email, ip) => {
+  const throttles = await LoginThrottle.find({
+    key: { $in: [emailKey(email), ipKey(ip)] },
+    lockedUntil: { $gt: new Date() }
+  });
+
+  if (throttles.length === 0) {
+    return { locked: false };
+  }
+
+  const longest = throttles.reduce((a, b) => (a.lockedUntil > b.lockedUntil ? a : b));
+  return {
+    locked: true,
+    scope: longest.key.startsWith('email:') ? 'email' : 'ip',
+    retryAfter: Math.ceil((longest.lockedUntil.getTime() - Date.now()) / 1000)
+  };
+};
+
+const bumpFailures = async (key, maxFailures) => {
+  const now = new Date();
+  const bump = () => LoginThrottle.findOneAndUpdate(
+    { key },
+    {
+      $inc: { failures: 1 },
+      $set: {
+        lastFailureAt: now,
+        expireAt: new Date(now.getTime() + FAILURE_WINDOW_HOURS * 60 * 60 * 1000)
+      }
+    },
+    { upsert: true, new: true }
+  );
+
+  // Two concurrent first failures both try to insert the counter; the loser retries
+  // once and then finds the document the other one created
+  let throttle;
+  try {
+    throttle = await bump();
+  } catch (error) {
+    if (!isDuplicateKeyError(error)) {
+      throw error;
+    }
+    throttle = await bump();
+  }
+
+  if (throttle.failures >= maxFailures) {
+    throttle.lockedUntil = new Date(now.getTime() + lockDurationMs(throttle.failures, maxFailures));
+    await throttle.save();
+  }
+
+  return throttle;
+};
+
+// Count a failed password or 2FA attempt against both the email and the IP
+const registerFailure = async (email, ip) => {
+  const [emailThrottle] = await Promise.all([
+    email ? bumpFailures(emailKey(email), EMAIL_MAX_FAILURES) : null,
+    bumpFailures(ipKey(ip), IP_MAX_FAILURES)
+  ]);
+  return emailThrottle;
+};
+
+// Clears an account's counter and lock. Used after a successful login, a password reset
+// and by admins. The IP counter keeps running so one valid account can't be used to reset it.
+const clearFailures = (email) => LoginThrottle.deleteOne({ key: emailKey(email) });
+
+const unlockIp = (ip) => LoginThrottle.deleteOne({ key: ipKey(ip) });
+
+// Compare a successful login with the user's recent history
+const detectSuspicious = async (user, req, previousFailures) => {
+  const reasons = [];
+  const recent = await LoginAttempt.find({ user: user._id, success: true })
+    .sort({ createdAt: -1 })
+    .limit(20)
+    .select('ip userAgent');
+
+  // Nothing to compare the very first login against
+  if (recent.length > 0) {
+    if (!recent.some(attempt => attempt.ip === req.ip)) {
+      reasons.push('new_ip');
+    }
+    if (!recent.some(attempt => attempt.userAgent === (req.headers['user-agent'] || ''))) {
+      reasons.push('new_device');
+    }
+  }
+
+  if (previousFailures >= 3) {
+    reasons.push('recent_failures');
+  }
+
+  return reasons;
+};
+
+const recordAttempt = ({ req, email, user = null, success, reason, suspiciousReasons = [] }) => LoginAttempt.create({
+  email: email || '',
+  user: user ? user._id : null,
+  organization: user ? user.organization : null,
+  ip: req.ip || '',
+  userAgent: (req.headers['user-agent'] || '').substring(0, 300),
+  success,
+  reason,
+  suspicious: suspiciousReasons.length > 0,
+  suspiciousReasons,
+  expireAt: new Date(Date.now() + HISTORY_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+});
+
+// Number of failures currently counted against an email
+const getFailureCount = async (email) => {
+  const throttle = await LoginThrottle.findOne({ key: emailKey(email) });
+  return throttle ? throttle.failures : 0;
+};
+
+// Failed password/2FA step: count it and log it
+const recordFailedLogin = async ({ req, email, user = null, reason }) => {
+  await registerFailure(email, req.ip);
+  await recordAttempt({ req, email, user, success: false, reason });
+};
+
+// Completed login: reset the account's counter and log it, flagging anything unusual
+const recordSuccessfulLogin = async (user, req) => {
+  const previousFailures = await getFailureCount(user.email);
+  await clearFailures(user.email);
+  const suspiciousReasons = await detectSuspicious(user, req, previousFailures);
+  await recordAttempt({ req, email: user.email, user, success: true, reason: 'success', suspiciousReasons });
+};
+
+module.exports = {
+  getLockStatus,
+  recordAttempt,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  clearFailures,
+  unlockIp
+};
@@ -0,0 +1,75 @@
+const fs = require('fs');
+const path = require('path');
+
+// Pluggable mail delivery.
+// A transport is any object with an async `send(message)` method, where message is
+// { from, to, subject, text, html }. Pick one with MAIL_TRANSPORT, or register your own
+// (e.g. an SMTP or API-based provider) with registerTransport().
+
+// Console transport - prints the message, handy during local development
+const consoleTransport = () => ({
+  async send(message) {
+    console.log('📧 Mail (console transport)');
+    console.log(`  From:    ${message.from}`);
+    console.log(`  To:      ${message.to}`);
+    console.log(`  Subject: ${message.subject}`);
+    console.log(message.text);
+    return { delivered: true, transport: 'console' };
+  }
+});
+
+// File transport - writes each message as a JSON file so tests and developers can inspect it
+const fileTransport = () => {
+  const dir = process.env.MAIL_FILE_DIR || path.join(process.cwd(), 'tmp', 'mail');
+
+  return {
+    async send(message) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const filename = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+      const file = path.join(dir, filename);
+      await fs.promises.writeFile(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+      return { delivered: true, transport: 'file', file };
+    }
+  };
+};
+
+const transportFactories = {
+  console: consoleTransport,
+  file: fileTransport
+};
+
+let activeTransport = null;
+
+const registerTransport = (name, factory) => {
+  transportFactories[name] = factory;
+};
+
+// Replace the transport in use (tests can pass an in-memory transport here)
+const setTransport = (transport) => {
+  activeTransport = transport;
+};
+
+const getTransport = () => {
+  if (!activeTransport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const factory = transportFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown mail transport "${name}"`);
+    }
+    activeTransport = factory();
+  }
+  return activeTransport;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  const message = {
+    from: process.env.MAIL_FROM || 'EventPro <no-reply@eventpro.local>',
+    to,
+    subject,
+    text,
+    html: html || null
+  };
+  return getTransport().send(message);
+};
+
+module.exports = { sendMail, registerTransport, setTransport, getTransport };
@@ -0,0 +1,75 @@
+// Role → permission map used by the `authorize` middleware.
+// Permissions are "<resource>:<action>" strings. Admins get everything ('*').
+
+const PERMISSIONS = [
+  'polls:read',
+  'polls:write',
+  'polls:delete',
+  'results:read',
+  'venues:read',
+  'venues:write',
+  'venues:delete',
+  'bookings:read',
+  'bookings:update',
+  'bookings:delete',
+  'settings:write',
+  'team:manage',
+  'security:manage',
+  'apikeys:manage',
+  'audit:read',
+  'backup:export',
+  'backup:import',
+  'account:delete'
+];
+
+const ROLE_PERMISSIONS = {
+  admin: ['*'],
+  // Managers run day-to-day operations but can't touch site settings, the team or backups
+  manager: [
+    'polls:read',
+    'polls:write',
+    'polls:delete',
+    'results:read',
+    'venues:read',
+    'venues:write',
+    'venues:delete',
+    'bookings:read',
+    'bookings:update',
+    'bookings:delete'
+  ],
+  // Front-of-house staff: read-only access plus confirming/cancelling bookings
+  staff: [
+    'polls:read',
+    'results:read',
+    'venues:read',
+    'bookings:read',
+    'bookings:update'
+  ]
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Scopes an API key may carry. Account-level actions (team, security, API keys,
+// settings, restoring backups, deleting the account) always need a human session.
+const API_KEY_SCOPES = [
+  'polls:read',
+  'polls:write',
+  'polls:delete',
+  'results:read',
+  'venues:read',
+  'venues:write',
+  'venues:delete',
+  'bookings:read',
+  'bookings:update',
+  'bookings:delete',
+  'backup:export'
+];
+
+const getRolePermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+const hasPermission = (role, permission) => {
+  const granted = getRolePermissions(role);
+  return granted.includes('*') || granted.includes(permission);
+};
+
+module.exports = { PERMISSIONS, ROLES, ROLE_PERMISSIONS, API_KEY_SCOPES, getRolePermissions, hasPermission };
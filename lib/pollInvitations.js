@@ -0,0 +1,396 @@
+const crypto = require('crypto');
+const Poll = require('../models/Poll');
+const Organization = require('../models/Organization');
+const PollInvitee = require('../models/PollInvitee');
+const { sendMail } = require('./mailer');
+const { buildShareUrl } = require('./pollTracking');
+
+// Guest lists for polls: personal links, invitation emails and reminders.
+// A personal token is "<invitee id>.<HMAC of the id>", so it can be put in every
+// reminder again without storing it; deleting the invitee revokes it.
+// Emails requested from the API are queued on the invitees and sent in the background,
+// so a large guest list never holds up the request.
+
+const MAX_INVITEES_PER_POLL = 5000;
+// Invitations can go out before the poll opens, but not once it's closed
+const INVITABLE_STATUSES = ['scheduled', 'open'];
+const REMINDER_AFTER_HOURS = parseInt(process.env.POLL_REMINDER_AFTER_HOURS) || 72;
+const MAX_REMINDERS = process.env.POLL_REMINDER_MAX !== undefined && process.env.POLL_REMINDER_MAX !== ''
+  ? parseInt(process.env.POLL_REMINDER_MAX)
+  : 2;
+const REMINDER_CHECK_MINUTES = process.env.POLL_REMINDER_CHECK_MINUTES !== undefined && process.env.POLL_REMINDER_CHECK_MINUTES !== ''
+  ? parseInt(process.env.POLL_REMINDER_CHECK_MINUTES)
+  : 60;
+const REMINDER_BATCH_SIZE = 500;
+
+const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const signInviteeId = (id) => crypto
+  .createHmac('sha256', process.env.JWT_SECRET)
+  .update(`poll-invitee:${id}`)
+  .digest('base64url');
+
+const inviteToken = (invitee) => `${invitee._id}.${signInviteeId(invitee._id)}`;
+
+// Resolves a personal token to the invitee of this poll, or null
+const findInviteeByToken = async (token, poll) => {
+  if (typeof token !== 'string') {
+    return null;
+  }
+  const [id, signature] = token.split('.');
+  if (!/^[a-f0-9]{24}$/.test(id || '') || !signature) {
+    return null;
+  }
+
+  const expected = Buffer.from(signInviteeId(id));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    return null;
+  }
+
+  return PollInvitee.findOne({ _id: id, poll: poll._id });
+};
+
+// Minimal RFC 4180 reader: quoted fields, doubled quotes, CRLF or LF line ends
+const parseCsv = (text, delimiter) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows
+    .map(cells => cells.map(cell => cell.trim()))
+    .filter(cells => cells.some(Boolean));
+};
+
+// CSV rows as { name, email }. With a header row the "name" and "email" columns are used,
+// otherwise the cell holding an address is the email and the first other cell the name.
+const csvToEntries = (text) => {
+  const content = String(text).replace(/^\uFEFF/, '');
+  // Spreadsheets in some locales save with semicolons
+  const firstLine = content.split(/\r?\n/, 1)[0];
+  const rows = parseCsv(content, firstLine.includes(';') && !firstLine.includes(',') ? ';' : ',');
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const header = rows[0].map(cell => cell.toLowerCase());
+  const emailColumn = header.findIndex(cell => cell === 'email' || cell === 'e-mail');
+  if (emailColumn !== -1) {
+    const nameColumn = header.indexOf('name');
+    return rows.slice(1).map(cells => ({
+      name: nameColumn !== -1 ? cells[nameColumn] : '',
+      email: cells[emailColumn]
+    }));
+  }
+
+  return rows.map(cells => {
+    const emailIndex = cells.findIndex(cell => cell.includes('@'));
+    return {
+      name: cells.find((cell, index) => index !== emailIndex && cell) || '',
+      email: emailIndex !== -1 ? cells[emailIndex] : ''
+    };
+  });
+};
+
+// Reads a guest list from { invitees: [{ name, email }] } or { csv: '...' }.
+// Returns { entries, errors }, with duplicate addresses merged.
+const parseInviteeList = ({ invitees, csv }) => {
+  let rows;
+  if (Array.isArray(invitees)) {
+    rows = invitees.map(item => (typeof item === 'string' ? { email: item } : item || {}));
+  } else if (typeof csv === 'string') {
+    rows = csvToEntries(csv);
+  } else {
+    return { entries: [], errors: ['Please provide invitees as a JSON array or CSV text'] };
+  }
+
+  const errors = [];
+  const byEmail = new Map();
+  rows.forEach((row, index) => {
+    const email = typeof row.email === 'string' ? row.email.trim().toLowerCase() : '';
+    if (!emailRegex.test(email)) {
+      errors.push(`Row ${index + 1}: "${row.email || ''}" is not a valid email address`);
+      return;
+    }
+    const name = typeof row.name === 'string' ? row.name.trim().substring(0, 100) : '';
+    byEmail.set(email, { email, name: name || (byEmail.get(email) || {}).name || '' });
+  });
+
+  return { entries: [...byEmail.values()], errors };
+};
+
+const formatInvitee = (invitee) => ({
+  id: invitee._id,
+  name: invitee.name,
+  email: invitee.email,
+  status: invitee.responded ? 'responded' : 'pending',
+  invitedAt: invitee.invitedAt,
+  lastSentAt: invitee.lastSentAt,
+  reminderCount: invitee.reminderCount,
+  queuedEmail: invitee.queuedEmail,
+  respondedAt: invitee.respondedAt,
+  submission: invitee.submission,
+  createdAt: invitee.createdAt
+});
+
+// The poll's public link, tagged as coming from the invitation email, with the personal token
+const buildInviteUrl = (poll, organization, invitee) => {
+  const url = buildShareUrl(poll, organization, { source: 'invitation', medium: 'email' });
+  return `${url}&invite=${encodeURIComponent(inviteToken(invitee))}`;
+};
+
+const formatDate = (date) => new Date(date).toUTCString().replace(/ \d{2}:\d{2}:\d{2} GMT$/, '');
+
+// Sends the invitation (or a reminder) through the configured mail transport.
+// Callers record the send on the invitee.
+const mailInvitation = async (invitee, poll, organization, { reminder = false } = {}) => {
+  await poll.ensureSlug();
+  const url = buildInviteUrl(poll, organization, invitee);
+  const until = poll.expireAt ? ` It is open until ${formatDate(poll.expireAt)}.` : '';
+
+  await sendMail({
+    to: invitee.email,
+    subject: reminder ? `Reminder: ${poll.title}` : `${organization.name} invites you to answer "${poll.title}"`,
+    text: reminder
+      ? `Hi ${invitee.name || 'there'},\n\n${organization.name} is still waiting for your answers to "${poll.title}".${until}\n\n${url}\n\nThis link is personal, please don't forward it.`
+      : `Hi ${invitee.name || 'there'},\n\n${organization.name} would like to hear from you. Please answer "${poll.title}" using your personal link:\n\n${url}\n\n${until.trim()}${until ? '\n\n' : ''}This link is personal, please don't forward it.`
+  });
+};
+
+// Emails invitations to the given invitees and records the send, returns { sent, failed }
+const sendInvitations = async (invitees, poll, organization, { reminder = false } = {}) => {
+  let sent = 0;
+  let failed = 0;
+
+  for (const invitee of invitees) {
+    try {
+      await mailInvitation(invitee, poll, organization, { reminder });
+      const now = new Date();
+      invitee.invitedAt = invitee.invitedAt || now;
+      invitee.lastSentAt = now;
+      if (reminder) {
+        invitee.reminderCount += 1;
+      }
+      await invitee.save();
+      sent++;
+    } catch (error) {
+      console.error('Poll invitation error:', error);
+      failed++;
+    }
+  }
+
+  return { sent, failed };
+};
+
+// Sends every queued email, oldest first. Each invitee is claimed with an atomic update,
+// so several server instances never send the same email twice. Emails for polls that
+// closed in the meantime, or for guests who answered already, are dropped.
+// Returns the number sent.
+const sendQueuedInvitations = async () => {
+  const polls = new Map();
+  const organizations = new Map();
+  let sent = 0;
+
+  for (;;) {
+    const invitee = await PollInvitee.findOneAndUpdate(
+      { queuedEmail: { $in: ['invitation', 'reminder'] } },
+      { $set: { queuedEmail: null } },
+      { sort: { createdAt: 1 }, new: false }
+    );
+    if (!invitee) {
+      return sent;
+    }
+
+    const pollId = String(invitee.poll);
+    if (!polls.has(pollId)) {
+      polls.set(pollId, await Poll.findById(invitee.poll));
+    }
+    const poll = polls.get(pollId);
+    if (poll && !organizations.has(String(poll.organization))) {
+      organizations.set(String(poll.organization), await Organization.findById(poll.organization));
+    }
+    const organization = poll && organizations.get(String(poll.organization));
+
+    const reminder = invitee.queuedEmail === 'reminder';
+    const canSend = poll && organization && organization.isActive && !invitee.responded && (reminder
+      ? poll.isAcceptingResponses()
+      : INVITABLE_STATUSES.includes(poll.getEffectiveStatus()));
+    if (canSend) {
+      sent += (await sendInvitations([invitee], poll, organization, { reminder })).sent;
+    }
+  }
+};
+
+let queueRunning = false;
+let queueAgain = false;
+
+// Works through the queue in the background. Never rejects, so callers don't await it.
+const processQueue = async () => {
+  if (queueRunning) {
+    // Picked up by the run in progress once it reaches the end
+    queueAgain = true;
+    return;
+  }
+
+  queueRunning = true;
+  try {
+    do {
+      queueAgain = false;
+      const sent = await sendQueuedInvitations();
+      if (sent > 0) {
+        console.log(`📧 Sent ${sent} poll invitation(s)`);
+      }
+    } while (queueAgain);
+  } catch (error) {
+    console.error('Poll invitation queue error:', error);
+  } finally {
+    queueRunning = false;
+  }
+};
+
+// Queues the invitation (or a reminder) for the invitees matching `filter` and starts
+// sending. Returns the number queued.
+const queueInvitations = async (filter, { reminder = false } = {}) => {
+  const result = await PollInvitee.updateMany(filter, { queuedEmail: reminder ? 'reminder' : 'invitation' });
+  if (result.matchedCount > 0) {
+    processQueue();
+  }
+  return result.matchedCount;
+};
+
+// Records the answer on the invitee. Anonymous polls only record that they responded,
+// without the time or the submission.
+const markResponded = (invitee, poll, submission) => PollInvitee.updateOne(
+  { _id: invitee._id },
+  poll.identityMode === 'anonymous'
+    ? { responded: true, respondedAt: null, submission: null }
+    : { responded: true, respondedAt: new Date(), submission: submission._id }
+);
+
+// Reminds pending invitees of open polls whose last email is older than POLL_REMINDER_AFTER_HOURS,
+// at most POLL_REMINDER_MAX times. Each invitee is claimed with an atomic update first,
+// so several server instances never send the same reminder twice. Returns the number sent.
+const sendDueReminders = async (now = new Date()) => {
+  if (MAX_REMINDERS <= 0) {
+    return 0;
+  }
+
+  // Only guests of polls taking responses in active businesses, so invitees of closed
+  // polls never fill up the batch
+  const polls = await Poll.find(Poll.openFilter(now));
+  const organizations = await Organization.find({ _id: { $in: [...new Set(polls.map(poll => String(poll.organization)))] }, isActive: true });
+  const organizationsById = new Map(organizations.map(organization => [String(organization._id), organization]));
+  const pollsById = new Map(polls
+    .filter(poll => organizationsById.has(String(poll.organization)))
+    .map(poll => [String(poll._id), poll]));
+  if (pollsById.size === 0) {
+    return 0;
+  }
+
+  const due = {
+    responded: false,
+    invitedAt: { $ne: null },
+    lastSentAt: { $lte: new Date(now.getTime() - REMINDER_AFTER_HOURS * 60 * 60 * 1000) },
+    reminderCount: { $lt: MAX_REMINDERS }
+  };
+
+  // Longest-waiting guests first
+  const candidates = await PollInvitee.find({ poll: { $in: [...pollsById.values()].map(poll => poll._id) }, ...due })
+    .sort({ lastSentAt: 1 })
+    .limit(REMINDER_BATCH_SIZE);
+
+  let sent = 0;
+  for (const candidate of candidates) {
+    const poll = pollsById.get(String(candidate.poll));
+    const organization = poll && organizationsById.get(String(poll.organization));
+    if (!poll || !organization || !poll.isAcceptingResponses(now)) {
+      continue;
+    }
+
+    const invitee = await PollInvitee.findOneAndUpdate(
+      { _id: candidate._id, ...due },
+      { $set: { lastSentAt: now }, $inc: { reminderCount: 1 } },
+      { new: true }
+    );
+    if (!invitee) {
+      continue;
+    }
+
+    try {
+      await mailInvitation(invitee, poll, organization, { reminder: true });
+      sent++;
+    } catch (error) {
+      console.error('Poll reminder error:', error);
+    }
+  }
+
+  return sent;
+};
+
+// Every POLL_REMINDER_CHECK_MINUTES, sends what is left in the queue (e.g. after a restart)
+// and the due reminders. 0 turns the job off, e.g. when scripts/send-poll-reminders.js
+// runs from cron instead.
+const startReminderJob = () => {
+  if (REMINDER_CHECK_MINUTES <= 0) {
+    return null;
+  }
+
+  const timer = setInterval(async () => {
+    await processQueue();
+    try {
+      const sent = await sendDueReminders();
+      if (sent > 0) {
+        console.log(`📧 Sent ${sent} poll reminder(s)`);
+      }
+    } catch (error) {
+      console.error('Poll reminder job error:', error);
+    }
+  }, REMINDER_CHECK_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  MAX_INVITEES_PER_POLL,
+  INVITABLE_STATUSES,
+  findInviteeByToken,
+  parseInviteeList,
+  formatInvitee,
+  queueInvitations,
+  sendQueuedInvitations,
+  markResponded,
+  sendDueReminders,
+  startReminderJob
+};
@@ -0,0 +1,109 @@
+const Poll = require('../models/Poll');
+const Submission = require('../models/Submission');
+
+// Response limits and per-option quotas.
+// The counters live on the poll document and are only changed with a single conditional
+// update, so two participants can never both take the last place.
+
+const sameQuota = (quota, questionId, option) => quota.questionId === questionId && quota.option === option;
+
+// Quotas matched by a set of answers (checkbox answers can match several)
+const matchedQuotas = (poll, answers = []) => poll.optionQuotas.filter(quota => answers.some(answer => {
+  if (answer.questionId !== quota.questionId) return false;
+  return Array.isArray(answer.answer) ? answer.answer.includes(quota.option) : answer.answer === quota.option;
+}));
+
+// Takes places for `add` answers and gives back places of `remove` answers (the earlier
+// answers when a submission changes), plus `responses` (+1 new submission, -1 withdrawn).
+// Returns {} on success, { full: true } or { quota } for the option that has no places left.
+// With check: false the limits are ignored (giving places back, undoing a claim).
+const adjustCapacity = async (poll, { add = [], remove = [], responses = 0, check = true }) => {
+  const taken = matchedQuotas(poll, add);
+  const released = matchedQuotas(poll, remove);
+  const gained = taken.filter(quota => !released.includes(quota));
+  const freed = released.filter(quota => !taken.includes(quota));
+
+  const filter = { _id: poll._id };
+  const conditions = [];
+  if (check && responses > 0 && poll.responseLimit) {
+    filter.responseCount = { $lt: poll.responseLimit };
+  }
+  (check ? gained : []).forEach(quota => conditions.push({
+    optionQuotas: { $elemMatch: { questionId: quota.questionId, option: quota.option, count: { $lt: quota.limit } } }
+  }));
+  if (conditions.length > 0) {
+    filter.$and = conditions;
+  }
+
+  const increments = {};
+  const arrayFilters = [];
+  if (responses !== 0) {
+    increments.responseCount = responses;
+  }
+  [...gained.map(quota => [quota, 1]), ...freed.map(quota => [quota, -1])].forEach(([quota, step], index) => {
+    increments[`optionQuotas.$[q${index}].count`] = step;
+    arrayFilters.push({ [`q${index}.questionId`]: quota.questionId, [`q${index}.option`]: quota.option });
+  });
+
+  if (Object.keys(increments).length === 0) {
+    return {};
+  }
+
+  const updated = await Poll.findOneAndUpdate(filter, { $inc: increments }, { new: true, ...(arrayFilters.length > 0 && { arrayFilters }) });
+  if (updated) {
+    return {};
+  }
+
+  // Work out which condition failed from the current counters
+  const current = await Poll.findById(poll._id);
+  if (!current) {
+    return { full: true };
+  }
+  if (responses > 0 && current.isFull()) {
+    return { full: true };
+  }
+  const quota = gained.find(item => {
+    const latest = current.optionQuotas.find(entry => sameQuota(entry, item.questionId, item.option));
+    return latest && latest.count >= latest.limit;
+  });
+  return quota ? { quota: { questionId: quota.questionId, option: quota.option } } : { full: true };
+};
+
+const claimCapacity = (poll, answers, { previous = [], responses = 1 } = {}) => adjustCapacity(poll, { add: answers, remove: previous, responses });
+
+const releaseCapacity = (poll, answers, { previous = [], responses = -1 } = {}) => adjustCapacity(poll, { add: previous, remove: answers, responses, check: false });
+
+// Rebuilds the counters from the stored submissions, after the limits or questions change
+const recountCapacity = async (poll) => {
+  const [responseCount, ...counts] = await Promise.all([
+    Submission.countDocuments({ poll: poll._id }),
+    ...poll.optionQuotas.map(quota => Submission.countDocuments({
+      poll: poll._id,
+      answers: { $elemMatch: { questionId: quota.questionId, answer: quota.option } }
+    }))
+  ]);
+
+  poll.responseCount = responseCount;
+  poll.optionQuotas.forEach((quota, index) => {
+    quota.count = counts[index];
+  });
+  await Poll.updateOne(
+    { _id: poll._id },
+    { responseCount, optionQuotas: poll.optionQuotas.map(quota => (typeof quota.toObject === 'function' ? quota.toObject() : quota)) }
+  );
+};
+
+// Places left overall and per option, for the public form
+const remainingCapacity = (poll) => ({
+  responseLimit: poll.responseLimit,
+  remainingResponses: poll.responseLimit ? Math.max(poll.responseLimit - poll.responseCount, 0) : null,
+  options: poll.optionQuotas.map(quota => ({
+    questionId: quota.questionId,
+    option: quota.option,
+    limit: quota.limit,
+    remaining: Math.max(quota.limit - quota.count, 0),
+    full: quota.count >= quota.limit
+  }))
+});
+
+module.exports = { claimCapacity, releaseCapacity, recountCapacity, remainingCapacity };
@@ -0,0 +1,209 @@
+const Submission = require('../models/Submission');
+
+// Results summaries computed by MongoDB: one aggregation pipeline covers any number of polls,
+// so list endpoints don't need a query per poll.
+
+const INTERVAL_FORMATS = {
+  hour: '%Y-%m-%dT%H:00',
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m'
+};
+const INTERVALS = Object.keys(INTERVAL_FORMATS);
+
+// Question types whose answers are tallied per value
+const DISTRIBUTION_TYPES = ['button', 'dropdown', 'checkbox', 'rating', 'nps'];
+// Question types that get average/min/max
+const NUMERIC_TYPES = ['number', 'rating', 'nps'];
+
+const questionKey = (pollId, questionId) => `${pollId}:${questionId}`;
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+const percentage = (count, total) => (total > 0 ? round((count / total) * 100) : 0);
+
+const buildPipeline = (polls, { interval, questions }) => {
+  const period = { $dateToString: { format: INTERVAL_FORMATS[interval], date: '$submittedAt' } };
+  const byQuestion = { poll: '$poll', question: '$answers.questionId' };
+
+  const facets = {
+    totals: [
+      { $group: { _id: '$poll', count: { $sum: 1 }, first: { $min: '$submittedAt' }, last: { $max: '$submittedAt' } } }
+    ]
+  };
+
+  if (questions) {
+    const distributionKeys = [];
+    polls.forEach(poll => poll.questions.forEach(question => {
+      if (DISTRIBUTION_TYPES.includes(question.type)) {
+        distributionKeys.push(questionKey(poll._id, question.id));
+      }
+    }));
+
+    facets.overTime = [
+      { $group: { _id: { poll: '$poll', period }, count: { $sum: 1 } } },
+      { $sort: { '_id.period': 1 } }
+    ];
+    facets.answered = [
+      { $unwind: '$answers' },
+      { $group: { _id: byQuestion, count: { $sum: 1 } } }
+    ];
+    facets.questionOverTime = [
+      { $unwind: '$answers' },
+      { $group: { _id: { ...byQuestion, period }, count: { $sum: 1 } } },
+      { $sort: { '_id.period': 1 } }
+    ];
+    facets.numeric = [
+      { $unwind: '$answers' },
+      { $match: { 'answers.answer': { $type: 'number' } } },
+      {
+        $group: {
+          _id: byQuestion,
+          average: { $avg: '$answers.answer' },
+          min: { $min: '$answers.answer' },
+          max: { $max: '$answers.answer' }
+        }
+      }
+    ];
+    // Checkbox answers are arrays; unwinding them counts each selected option
+    facets.distribution = [
+      { $unwind: '$answers' },
+      { $match: { $expr: { $in: [{ $concat: [{ $toString: '$poll' }, ':', '$answers.questionId'] }, distributionKeys] } } },
+      { $unwind: '$answers.answer' },
+      { $group: { _id: { ...byQuestion, value: '$answers.answer' }, count: { $sum: 1 } } }
+    ];
+  }
+
+  return [
+    { $match: { poll: { $in: polls.map(poll => poll._id) } } },
+    { $facet: facets }
+  ];
+};
+
+// Values listed even when nobody picked them, in display order
+const expectedValues = (question) => {
+  switch (question.type) {
+    case 'rating':
+      return Array.from({ length: question.scale || 5 }, (_, index) => index + 1);
+    case 'nps':
+      return Array.from({ length: 11 }, (_, index) => index);
+    default:
+      return [...(question.options || [])];
+  }
+};
+
+const emptyQuestionSummary = (question) => {
+  const type = question.type || 'text';
+  const summary = { id: question.id, text: question.text, type, answered: 0, skipped: 0, responseRate: 0, overTime: [] };
+
+  if (DISTRIBUTION_TYPES.includes(type)) {
+    summary.options = expectedValues(question).map(value => ({ value, count: 0, percentage: 0 }));
+  }
+  if (NUMERIC_TYPES.includes(type)) {
+    Object.assign(summary, { average: null, min: null, max: null });
+  }
+  if (type === 'nps') {
+    summary.npsScore = null;
+  }
+  return summary;
+};
+
+const emptySummary = (poll, questions) => ({
+  totalSubmissions: 0,
+  firstSubmissionAt: null,
+  lastSubmissionAt: null,
+  ...(questions && {
+    overTime: [],
+    questions: poll.questions.map(emptyQuestionSummary)
+  })
+});
+
+// Percentages, skip counts and the NPS score, once all counts are in
+const finishQuestionSummary = (summary, totalSubmissions) => {
+  summary.skipped = totalSubmissions - summary.answered;
+  summary.responseRate = percentage(summary.answered, totalSubmissions);
+
+  if (summary.options) {
+    summary.options.forEach(option => {
+      option.percentage = percentage(option.count, summary.answered);
+    });
+  }
+  if (summary.average !== null && summary.average !== undefined) {
+    summary.average = round(summary.average, 2);
+  }
+  if (summary.type === 'nps' && summary.answered > 0) {
+    const share = (test) => summary.options.filter(option => test(option.value))
+      .reduce((sum, option) => sum + option.count, 0) / summary.answered;
+    summary.npsScore = Math.round((share(value => value >= 9) - share(value => value <= 6)) * 100);
+  }
+};
+
+// Returns a Map of poll id → summary. With `questions: false` only the totals are computed.
+const summarizePolls = async (polls, { interval = 'day', questions = true } = {}) => {
+  const summaries = new Map(polls.map(poll => [String(poll._id), emptySummary(poll, questions)]));
+
+  if (polls.length === 0) {
+    return summaries;
+  }
+
+  const [facets] = await Submission.aggregate(buildPipeline(polls, { interval, questions }));
+
+  facets.totals.forEach(({ _id, count, first, last }) => {
+    Object.assign(summaries.get(String(_id)), { totalSubmissions: count, firstSubmissionAt: first, lastSubmissionAt: last });
+  });
+
+  if (!questions) {
+    return summaries;
+  }
+
+  // Look up question summaries by "<pollId>:<questionId>"
+  const questionSummaries = new Map();
+  polls.forEach(poll => {
+    summaries.get(String(poll._id)).questions.forEach(summary => {
+      questionSummaries.set(questionKey(poll._id, summary.id), summary);
+    });
+  });
+  const lookup = ({ poll, question }) => questionSummaries.get(questionKey(poll, question));
+
+  facets.overTime.forEach(({ _id, count }) => {
+    summaries.get(String(_id.poll)).overTime.push({ period: _id.period, count });
+  });
+
+  facets.answered.forEach(({ _id, count }) => {
+    const summary = lookup(_id);
+    if (summary) summary.answered = count;
+  });
+
+  facets.questionOverTime.forEach(({ _id, count }) => {
+    const summary = lookup(_id);
+    if (summary) summary.overTime.push({ period: _id.period, count });
+  });
+
+  facets.numeric.forEach(({ _id, average, min, max }) => {
+    const summary = lookup(_id);
+    if (summary && NUMERIC_TYPES.includes(summary.type)) {
+      Object.assign(summary, { average, min, max });
+    }
+  });
+
+  facets.distribution.forEach(({ _id, count }) => {
+    const summary = lookup(_id);
+    if (!summary || !summary.options) return;
+
+    const option = summary.options.find(item => String(item.value) === String(_id.value));
+    if (option) {
+      option.count = count;
+    } else {
+      // e.g. an option that was removed after people picked it
+      summary.options.push({ value: _id.value, count, percentage: 0 });
+    }
+  });
+
+  summaries.forEach(summary => {
+    summary.questions.forEach(question => finishQuestionSummary(question, summary.totalSubmissions));
+  });
+
+  return summaries;
+};
+
+const summarizePoll = async (poll, options) => (await summarizePolls([poll], options)).get(String(poll._id));
+
+module.exports = { INTERVALS, summarizePolls, summarizePoll };
@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+const PollTemplate = require('../models/PollTemplate');
+
+// Starter templates available to every business. Ids are prefixed with "builtin-"
+// so they can't collide with saved templates (which use ObjectIds).
+const BUILT_IN_TEMPLATES = [
+  {
+    id: 'builtin-nps',
+    name: 'Net Promoter Score',
+    description: 'Measure how likely guests are to recommend you, with a follow-up question.',
+    poll: {
+      title: 'How likely are you to recommend us?',
+      description: '',
+      questions: [
+        { id: 'nps', text: 'How likely are you to recommend us to a friend or colleague?', type: 'nps', required: true },
+        { id: 'reason', text: 'What is the main reason for your score?', type: 'longtext' }
+      ]
+    }
+  },
+  {
+    id: 'builtin-event-feedback',
+    name: 'Post-event feedback',
+    description: 'Overall rating, highlights and what went wrong.',
+    poll: {
+      title: 'How was the event?',
+      description: 'Thanks for coming! Tell us how we did.',
+      questions: [
+        { id: 'rating', text: 'How would you rate the event overall?', type: 'rating', scale: 5, required: true },
+        {
+          id: 'problems',
+          text: 'What went wrong?',
+          type: 'longtext',
+          required: true,
+          showIf: [{ questionId: 'rating', operator: 'lte', value: 2 }]
+        },
+        { id: 'highlights', text: 'What did you enjoy the most?', type: 'checkbox', options: ['Food', 'Drinks', 'Music', 'Atmosphere', 'Service'] },
+        { id: 'return', text: 'Would you come to our next event?', type: 'button', options: ['Yes', 'Maybe', 'No'] },
+        { id: 'comments', text: 'Anything else you would like to tell us?', type: 'longtext' }
+      ]
+    }
+  },
+  {
+    id: 'builtin-rsvp',
+    name: 'RSVP',
+    description: 'Collect attendance, party size and dietary requirements.',
+    poll: {
+      title: 'Will you join us?',
+      description: '',
+      submissionPolicy: 'email',
+      questions: [
+        { id: 'attending', text: 'Will you attend?', type: 'button', options: ['Yes', 'No'], required: true },
+        {
+          id: 'guests',
+          text: 'How many people are coming, including you?',
+          type: 'number',
+          min: 1,
+          max: 10,
+          required: true,
+          showIf: [{ questionId: 'attending', operator: 'equals', value: 'Yes' }]
+        },
+        {
+          id: 'dietary',
+          text: 'Any dietary requirements?',
+          type: 'checkbox',
+          options: ['Vegetarian', 'Vegan', 'Gluten-free', 'Lactose-free', 'Nut allergy'],
+          showIf: [{ questionId: 'attending', operator: 'equals', value: 'Yes' }]
+        }
+      ]
+    }
+  },
+  {
+    id: 'builtin-menu-preference',
+    name: 'Menu preference',
+    description: 'Let guests pick their courses ahead of time.',
+    poll: {
+      title: 'Choose your menu',
+      description: '',
+      questions: [
+        { id: 'starter', text: 'Starter', type: 'dropdown', options: ['Soup of the day', 'Salad', 'Bruschetta'], required: true },
+        { id: 'main', text: 'Main course', type: 'dropdown', options: ['Beef', 'Fish', 'Vegetarian'], required: true },
+        { id: 'dessert', text: 'Dessert', type: 'dropdown', options: ['Chocolate cake', 'Fruit salad', 'Cheese board'], required: true },
+        { id: 'notes', text: 'Allergies or special requests', type: 'text' }
+      ]
+    }
+  }
+];
+
+// The parts of a poll that templates carry over, as plain data without subdocument ids
+const pickTemplateContent = (source) => {
+  const data = typeof source.toObject === 'function' ? source.toObject() : source;
+  return {
+    title: data.title,
+    description: data.description || '',
+    questions: (data.questions || []).map(({ _id, ...question }) => question),
+    isQuiz: Boolean(data.isQuiz),
+    consentEnabled: Boolean(data.consentEnabled),
+    consentText: data.consentText || null,
+    submissionPolicy: data.submissionPolicy || 'unlimited',
+    identityMode: data.identityMode || 'identified'
+  };
+};
+
+const formatBuiltIn = (template) => ({ ...template, poll: pickTemplateContent(template.poll), builtIn: true });
+
+const formatTemplate = (template) => ({
+  id: template._id,
+  name: template.name,
+  description: template.description,
+  poll: pickTemplateContent(template.poll),
+  builtIn: false,
+  createdAt: template.createdAt,
+  updatedAt: template.updatedAt
+});
+
+// Resolves a built-in id or one of the signed-in user's saved templates, as plain template data
+const findTemplate = async (templateId, req) => {
+  const builtIn = BUILT_IN_TEMPLATES.find(template => template.id === templateId);
+  if (builtIn) {
+    return formatBuiltIn(builtIn);
+  }
+  if (!mongoose.isValidObjectId(templateId)) {
+    return null;
+  }
+
+  const template = await PollTemplate.findOne({ _id: templateId, user: req.user._id, organization: req.organizationId });
+  return template ? formatTemplate(template) : null;
+};
+
+module.exports = { BUILT_IN_TEMPLATES, formatBuiltIn, formatTemplate, pickTemplateContent, findTemplate };
@@ -0,0 +1,96 @@
+const PollTraffic = require('../models/PollTraffic');
+const { clientUrl } = require('./urls');
+
+// Share links and per-source counting for polls.
+// Links carry the usual utm_source / utm_medium / utm_campaign parameters
+// (?source= is accepted as a short form of utm_source).
+
+const MAX_TAG_LENGTH = 100;
+// Distinct source/medium/campaign combinations counted per poll and day. Visits with
+// further combinations are counted under OTHER_SOURCE, so made-up tags can't add documents.
+const MAX_SOURCES_PER_DAY = parseInt(process.env.POLL_TRAFFIC_MAX_SOURCES) || 50;
+const OTHER_SOURCE = { source: 'other', medium: '', campaign: '' };
+
+const cleanTag = (value) => (typeof value === 'string'
+  ? value.trim().toLowerCase().substring(0, MAX_TAG_LENGTH)
+  : '');
+
+// Tracking tags from a query string or a { source, medium, campaign } object
+const readTracking = (query = {}) => ({
+  source: cleanTag(query.utm_source || query.source),
+  medium: cleanTag(query.utm_medium || query.medium),
+  campaign: cleanTag(query.utm_campaign || query.campaign)
+});
+
+// Public link to a poll, tagged with the given tracking values
+const buildShareUrl = (poll, organization, tracking = {}) => {
+  const params = new URLSearchParams({ tenant: organization.slug });
+  if (tracking.source) params.set('utm_source', tracking.source);
+  if (tracking.medium) params.set('utm_medium', tracking.medium);
+  if (tracking.campaign) params.set('utm_campaign', tracking.campaign);
+  return clientUrl(`/poll/${poll.slug}?${params.toString()}`);
+};
+
+const trafficKey = (poll, day, tracking) => ({
+  poll: poll._id,
+  day,
+  source: tracking.source,
+  medium: tracking.medium,
+  campaign: tracking.campaign
+});
+
+const bump = async (poll, tracking, field) => {
+  const now = new Date();
+  const day = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  try {
+    // Most visits count towards a combination that is already there
+    const existing = await PollTraffic.updateOne(trafficKey(poll, day, tracking), { $inc: { [field]: 1 } });
+    if (existing.matchedCount > 0) {
+      return;
+    }
+
+    const known = await PollTraffic.countDocuments({ poll: poll._id, day });
+    await PollTraffic.updateOne(
+      trafficKey(poll, day, known < MAX_SOURCES_PER_DAY ? tracking : OTHER_SOURCE),
+      { $inc: { [field]: 1 }, $setOnInsert: { organization: poll.organization, purgeAt: poll.purgeAt } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // Counting must never break the public page
+    console.error('Poll traffic error:', error);
+  }
+};
+
+const recordVisit = (poll, tracking) => bump(poll, tracking, 'visits');
+const recordSubmission = (poll, tracking) => bump(poll, tracking, 'submissions');
+
+// Totals per source/medium/campaign, most visited first
+const summarizeTraffic = async (poll, { from, to } = {}) => {
+  const match = { poll: poll._id };
+  if (from || to) {
+    match.day = {};
+    if (from) match.day.$gte = from;
+    if (to) match.day.$lte = to;
+  }
+
+  const rows = await PollTraffic.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { source: '$source', medium: '$medium', campaign: '$campaign' },
+        visits: { $sum: '$visits' },
+        submissions: { $sum: '$submissions' }
+      }
+    },
+    { $sort: { visits: -1 } }
+  ]);
+
+  return rows.map(({ _id, visits, submissions }) => ({
+    ..._id,
+    visits,
+    submissions,
+    conversionRate: visits > 0 ? Math.round((submissions / visits) * 1000) / 10 : null
+  }));
+};
+
+module.exports = { readTracking, buildShareUrl, recordVisit, recordSubmission, summarizeTraffic };
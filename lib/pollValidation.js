@@ -0,0 +1,442 @@
+const Poll = require('../models/Poll');
+
+// Validation of poll definitions (admin side) and of submitted answers (public side)
+
+const { QUESTION_TYPES, RULE_OPERATORS, END_OF_POLL } = Poll;
+const CHOICE_TYPES = ['button', 'dropdown', 'checkbox'];
+const ORDERED_TYPES = ['number', 'rating', 'nps', 'date'];
+const VALUELESS_OPERATORS = ['answered', 'not_answered'];
+const LIST_OPERATORS = ['in', 'not_in'];
+const RANGE_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+const TEXT_LIMITS = { text: 1000, longtext: 10000, email: 254 };
+
+const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+
+const isBlank = (value) => value === undefined || value === null ||
+  (typeof value === 'string' && value.trim() === '') ||
+  (Array.isArray(value) && value.length === 0);
+
+// Returns an error message for a condition on `source` (the question whose answer is tested), or null
+const checkCondition = (condition, source) => {
+  const { operator, value } = condition;
+
+  if (!RULE_OPERATORS.includes(operator)) {
+    return `unknown operator "${operator}"`;
+  }
+  if (VALUELESS_OPERATORS.includes(operator)) {
+    return null;
+  }
+
+  const type = source.type || 'text';
+  const values = LIST_OPERATORS.includes(operator) ? value : [value];
+
+  if (!Array.isArray(values) || values.length === 0) {
+    return `"${operator}" needs a non-empty list of values`;
+  }
+  if (values.some(item => item === undefined || item === null || item === '' || typeof item === 'object')) {
+    return `"${operator}" needs a value`;
+  }
+  if (operator === 'contains' && type !== 'checkbox') {
+    return '"contains" can only be used with checkbox questions';
+  }
+  if (RANGE_OPERATORS.includes(operator)) {
+    if (!ORDERED_TYPES.includes(type)) {
+      return `"${operator}" can only be used with number, rating, NPS and date questions`;
+    }
+    if (type === 'date' ? !dateRegex.test(String(value)) : !Number.isFinite(Number(value))) {
+      return `"${operator}" needs a ${type === 'date' ? 'YYYY-MM-DD date' : 'number'}`;
+    }
+  }
+  if (CHOICE_TYPES.includes(type) && values.some(item => !(source.options || []).includes(item))) {
+    return 'values must be options of the referenced question';
+  }
+  return null;
+};
+
+// Show-if conditions may only look back and skip targets may only jump forward,
+// which keeps the rules free of cycles and dangling references
+const validateRules = (questions) => {
+  const errors = [];
+  const positions = new Map();
+  questions.forEach((question, index) => {
+    if (question && typeof question.id === 'string' && !positions.has(question.id)) {
+      positions.set(question.id, index);
+    }
+  });
+
+  questions.forEach((question, index) => {
+    if (!question || typeof question !== 'object') {
+      return;
+    }
+    const label = `Question ${index + 1}`;
+    const showIf = question.showIf || [];
+    const skipTo = question.skipTo || [];
+
+    if (!Array.isArray(showIf) || !Array.isArray(skipTo)) {
+      errors.push(`${label}: showIf and skipTo must be lists`);
+      return;
+    }
+
+    showIf.forEach((condition, ruleIndex) => {
+      const ruleLabel = `${label}, show-if rule ${ruleIndex + 1}`;
+      const sourceIndex = condition ? positions.get(condition.questionId) : undefined;
+
+      if (sourceIndex === undefined) {
+        errors.push(`${ruleLabel}: references an unknown question`);
+      } else if (sourceIndex >= index) {
+        errors.push(`${ruleLabel}: can only depend on an earlier question`);
+      } else {
+        const error = checkCondition(condition, questions[sourceIndex]);
+        if (error) errors.push(`${ruleLabel}: ${error}`);
+      }
+    });
+
+    skipTo.forEach((rule, ruleIndex) => {
+      const ruleLabel = `${label}, skip rule ${ruleIndex + 1}`;
+      const target = rule ? rule.target : undefined;
+
+      if (target !== END_OF_POLL) {
+        const targetIndex = positions.get(target);
+        if (targetIndex === undefined) {
+          errors.push(`${ruleLabel}: skips to an unknown question`);
+          return;
+        }
+        if (targetIndex <= index) {
+          errors.push(`${ruleLabel}: can only skip to a later question`);
+          return;
+        }
+      }
+
+      const error = checkCondition(rule, question);
+      if (error) errors.push(`${ruleLabel}: ${error}`);
+    });
+  });
+
+  return errors;
+};
+
+// Quiz answer keys: every accepted answer must be a valid answer to the question
+const validateAnswerKeys = (questions) => {
+  const errors = [];
+
+  questions.forEach((question, index) => {
+    const label = `Question ${index + 1}`;
+    const correctAnswers = question.correctAnswers === undefined ? [] : question.correctAnswers;
+
+    if (question.points !== undefined && !(typeof question.points === 'number' && question.points >= 0)) {
+      errors.push(`${label}: points must be a number of at least 0`);
+    }
+    if (!Array.isArray(correctAnswers)) {
+      errors.push(`${label}: correctAnswers must be a list`);
+      return;
+    }
+    if (correctAnswers.some(answer => isBlank(answer) || normalizeAnswer(question, answer).error)) {
+      errors.push(`${label}: correctAnswers must be valid answers to the question`);
+    }
+  });
+
+  if (errors.length === 0 && !questions.some(question => (question.correctAnswers || []).length > 0)) {
+    errors.push('A quiz needs at least one question with correct answers');
+  }
+
+  return errors;
+};
+
+// Response limit and per-option quotas, returns a list of error messages
+const validateQuotas = (questions, { responseLimit, optionQuotas }) => {
+  const errors = [];
+
+  if (responseLimit !== undefined && responseLimit !== null && !(Number.isInteger(responseLimit) && responseLimit >= 1)) {
+    errors.push('responseLimit must be a whole number of at least 1');
+  }
+  if (optionQuotas === undefined || optionQuotas === null) {
+    return errors;
+  }
+  if (!Array.isArray(optionQuotas)) {
+    return [...errors, 'optionQuotas must be a list'];
+  }
+
+  const seen = new Set();
+  optionQuotas.forEach((quota, index) => {
+    const label = `Quota ${index + 1}`;
+    const question = quota && questions.find(item => item.id === quota.questionId);
+
+    if (!question) {
+      errors.push(`${label}: unknown question "${quota && quota.questionId}"`);
+      return;
+    }
+    if (!CHOICE_TYPES.includes(question.type)) {
+      errors.push(`${label}: quotas only apply to ${CHOICE_TYPES.join(', ')} questions`);
+      return;
+    }
+    if (!(question.options || []).includes(quota.option)) {
+      errors.push(`${label}: "${quota.option}" is not an option of question "${question.id}"`);
+    }
+    if (!(Number.isInteger(quota.limit) && quota.limit >= 1)) {
+      errors.push(`${label}: limit must be a whole number of at least 1`);
+    }
+    const key = JSON.stringify([quota.questionId, quota.option]);
+    if (seen.has(key)) {
+      errors.push(`${label}: duplicate quota for "${quota.option}"`);
+    }
+    seen.add(key);
+  });
+
+  return errors;
+};
+
+// Returns a list of error messages for a poll's questions (empty when valid)
+const validateQuestions = (questions, { isQuiz = false } = {}) => {
+  if (!Array.isArray(questions) || questions.length === 0) {
+    return ['A poll needs at least one question'];
+  }
+
+  const errors = [];
+  const seenIds = new Set();
+
+  questions.forEach((question, index) => {
+    const label = `Question ${index + 1}`;
+
+    if (!question || typeof question !== 'object') {
+      errors.push(`${label}: invalid question`);
+      return;
+    }
+    if (!question.id || typeof question.id !== 'string') {
+      errors.push(`${label}: id is required`);
+    } else if (question.id === END_OF_POLL) {
+      errors.push(`${label}: "${END_OF_POLL}" is reserved and can't be used as an id`);
+    } else if (seenIds.has(question.id)) {
+      errors.push(`${label}: duplicate id "${question.id}"`);
+    } else {
+      seenIds.add(question.id);
+    }
+    if (!question.text || !String(question.text).trim()) {
+      errors.push(`${label}: text is required`);
+    }
+
+    const type = question.type || 'text';
+    if (!QUESTION_TYPES.includes(type)) {
+      errors.push(`${label}: unknown type "${type}"`);
+      return;
+    }
+
+    if (CHOICE_TYPES.includes(type)) {
+      const options = Array.isArray(question.options) ? question.options : [];
+      if (options.length === 0) {
+        errors.push(`${label}: ${type} questions need at least one option`);
+      }
+      if (new Set(options).size !== options.length) {
+        errors.push(`${label}: options must be unique`);
+      }
+    }
+
+    if (type === 'rating' && question.scale !== undefined && ![5, 10].includes(Number(question.scale))) {
+      errors.push(`${label}: rating scale must be 5 or 10`);
+    }
+
+    if (type === 'number') {
+      const hasMin = question.min !== undefined && question.min !== null;
+      const hasMax = question.max !== undefined && question.max !== null;
+      if ((hasMin && !Number.isFinite(Number(question.min))) || (hasMax && !Number.isFinite(Number(question.max)))) {
+        errors.push(`${label}: min and max must be numbers`);
+      } else if (hasMin && hasMax && Number(question.min) > Number(question.max)) {
+        errors.push(`${label}: min cannot be greater than max`);
+      }
+    }
+  });
+
+  if (errors.length > 0) {
+    return errors;
+  }
+  return [...validateRules(questions), ...(isQuiz ? validateAnswerKeys(questions) : [])];
+};
+
+// Does a normalized answer satisfy a condition? For checkbox answers,
+// equals/in/contains hold when any selected option matches.
+const conditionHolds = (condition, answer, source) => {
+  const { operator, value } = condition;
+  const answered = !isBlank(answer);
+
+  if (operator === 'answered') return answered;
+  if (operator === 'not_answered') return !answered;
+  if (!answered) return false;
+
+  const selected = Array.isArray(answer) ? answer : [answer];
+  const same = (a, b) => String(a) === String(b);
+
+  switch (operator) {
+    case 'equals':
+    case 'contains':
+      return selected.some(item => same(item, value));
+    case 'not_equals':
+      return !selected.some(item => same(item, value));
+    case 'in':
+      return selected.some(item => value.some(option => same(item, option)));
+    case 'not_in':
+      return !selected.some(item => value.some(option => same(item, option)));
+    default: {
+      // Range operators: dates compare as YYYY-MM-DD strings, everything else as numbers
+      const left = source.type === 'date' ? String(answer) : Number(answer);
+      const right = source.type === 'date' ? String(value) : Number(value);
+      if (operator === 'gt') return left > right;
+      if (operator === 'gte') return left >= right;
+      if (operator === 'lt') return left < right;
+      return left <= right;
+    }
+  }
+};
+
+// Check and normalize one non-blank answer. Returns { value } or { error }.
+const normalizeAnswer = (question, raw) => {
+  const type = question.type || 'text';
+
+  switch (type) {
+    case 'text':
+    case 'longtext': {
+      if (typeof raw !== 'string' && typeof raw !== 'number') {
+        return { error: 'must be text' };
+      }
+      const value = String(raw).trim();
+      if (value.length > TEXT_LIMITS[type]) {
+        return { error: `must be at most ${TEXT_LIMITS[type]} characters` };
+      }
+      return { value };
+    }
+    case 'email': {
+      const value = String(raw).trim().toLowerCase();
+      if (!emailRegex.test(value) || value.length > TEXT_LIMITS.email) {
+        return { error: 'must be a valid email address' };
+      }
+      return { value };
+    }
+    case 'button':
+    case 'dropdown': {
+      if (typeof raw !== 'string' || !question.options.includes(raw)) {
+        return { error: 'must be one of the available options' };
+      }
+      return { value: raw };
+    }
+    case 'checkbox': {
+      const values = Array.isArray(raw) ? raw : [raw];
+      if (values.some(value => typeof value !== 'string' || !question.options.includes(value))) {
+        return { error: 'must only contain available options' };
+      }
+      return { value: [...new Set(values)] };
+    }
+    case 'rating': {
+      const value = Number(raw);
+      const scale = question.scale || 5;
+      if (!Number.isInteger(value) || value < 1 || value > scale) {
+        return { error: `must be a whole number from 1 to ${scale}` };
+      }
+      return { value };
+    }
+    case 'nps': {
+      const value = Number(raw);
+      if (!Number.isInteger(value) || value < 0 || value > 10) {
+        return { error: 'must be a whole number from 0 to 10' };
+      }
+      return { value };
+    }
+    case 'number': {
+      const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return { error: 'must be a number' };
+      }
+      if (question.min !== null && question.min !== undefined && value < question.min) {
+        return { error: `must be at least ${question.min}` };
+      }
+      if (question.max !== null && question.max !== undefined && value > question.max) {
+        return { error: `must be at most ${question.max}` };
+      }
+      return { value };
+    }
+    case 'date': {
+      const value = String(raw).trim();
+      const parsed = new Date(`${value}T00:00:00Z`);
+      if (!dateRegex.test(value) || Number.isNaN(parsed.getTime()) || parsed.toISOString().slice(0, 10) !== value) {
+        return { error: 'must be a date in YYYY-MM-DD format' };
+      }
+      return { value };
+    }
+    default:
+      return { error: 'has an unsupported question type' };
+  }
+};
+
+// Validate submitted answers against a poll.
+// Returns { errors, answers } where answers are normalized and in question order.
+const validateAnswers = (poll, answers) => {
+  const errors = [];
+  const questionsById = new Map(poll.questions.map(question => [question.id, question]));
+  const provided = new Map();
+
+  if (!Array.isArray(answers)) {
+    return { errors: ['Answers must be a list'], answers: [] };
+  }
+
+  answers.forEach((entry, index) => {
+    if (!entry || typeof entry !== 'object' || typeof entry.questionId !== 'string') {
+      errors.push(`Answer ${index + 1}: questionId is required`);
+      return;
+    }
+    if (!questionsById.has(entry.questionId)) {
+      errors.push(`Answer ${index + 1}: unknown question "${entry.questionId}"`);
+      return;
+    }
+    if (provided.has(entry.questionId)) {
+      errors.push(`Question "${entry.questionId}" was answered more than once`);
+      return;
+    }
+    provided.set(entry.questionId, entry.answer);
+  });
+
+  // Walk the questions in order, applying skip and show-if rules. Answers to
+  // questions the participant never saw are dropped and never required.
+  const normalized = [];
+  const shown = new Map();
+  let skipUntil = null;
+
+  poll.questions.forEach(question => {
+    if (skipUntil) {
+      if (question.id !== skipUntil) {
+        return;
+      }
+      skipUntil = null;
+    }
+
+    const visible = (question.showIf || []).every(condition =>
+      conditionHolds(condition, shown.get(condition.questionId), questionsById.get(condition.questionId)));
+    if (!visible) {
+      return;
+    }
+
+    const raw = provided.get(question.id);
+    let value;
+
+    if (isBlank(raw)) {
+      if (question.required) {
+        errors.push(`"${question.text}" is required`);
+      }
+    } else {
+      const result = normalizeAnswer(question, raw);
+      if (result.error) {
+        errors.push(`"${question.text}" ${result.error}`);
+        return;
+      }
+      value = result.value;
+      shown.set(question.id, value);
+      normalized.push({ questionId: question.id, answer: value });
+    }
+
+    const jump = (question.skipTo || []).find(rule => conditionHolds(rule, value, question));
+    if (jump) {
+      skipUntil = jump.target;
+    }
+  });
+
+  return { errors, answers: normalized };
+};
+
+module.exports = { CHOICE_TYPES, validateQuestions, validateQuotas, validateAnswers };
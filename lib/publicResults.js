@@ -0,0 +1,94 @@
+const Submission = require('../models/Submission');
+const { verifyEditToken, readEditToken } = require('./submissionTokens');
+const { readDeviceToken, buildDedupeKey } = require('./submissionPolicy');
+
+// What the public may see of a poll's results: per-question aggregates only, never
+// individual submissions, and no counts at all while any of them is below resultsMinCount.
+
+// Whether the visitor answered the poll: their edit token (returned on submit), or the
+// device token on polls that detect duplicates by device
+const hasAnswered = async (req, poll) => {
+  const editToken = verifyEditToken(readEditToken(req));
+  if (editToken && editToken.poll === String(poll._id)) {
+    return Boolean(await Submission.exists({ _id: editToken.submission, poll: poll._id }));
+  }
+
+  const deviceToken = readDeviceToken(req);
+  if (deviceToken && poll.submissionPolicy !== 'unlimited') {
+    return Boolean(await Submission.exists({ poll: poll._id, dedupeKey: buildDedupeKey(poll, { deviceToken }) }));
+  }
+
+  return false;
+};
+
+// Returns null when the visitor may see the results, otherwise { message, code }
+const checkResultsAccess = async (req, poll) => {
+  switch (poll.resultsVisibility) {
+    case 'always':
+      return null;
+    case 'after_close':
+      return poll.getEffectiveStatus() === 'closed'
+        ? null
+        : { message: 'Results will be published when the poll closes', code: 'RESULTS_AFTER_CLOSE' };
+    case 'after_vote':
+      return await hasAnswered(req, poll)
+        ? null
+        : { message: 'Results are shown once you have answered', code: 'RESULTS_AFTER_VOTE' };
+    default:
+      return { message: 'Results of this poll are not public', code: 'RESULTS_PRIVATE' };
+  }
+};
+
+// Counts from 1 to minCount - 1 are withheld (null); zero reveals nobody
+const isSmall = (count, minCount) => count > 0 && count < minCount;
+
+// A question's visible aggregates. Option counts are shown only when `withheld` is false;
+// averages and scores only when enough people answered the question.
+const formatQuestion = (question, minCount, withheld) => ({
+  id: question.id,
+  text: question.text,
+  type: question.type,
+  answered: withheld ? null : question.answered,
+  skipped: withheld ? null : question.skipped,
+  responseRate: withheld ? null : question.responseRate,
+  ...(question.options && {
+    options: question.options.map(option => (withheld
+      ? { value: option.value, count: null, percentage: null, suppressed: true }
+      : { value: option.value, count: option.count, percentage: option.percentage }))
+  }),
+  ...('average' in question && {
+    // Min and max are single answers, so they need as many answers as any count
+    average: isSmall(question.answered, minCount) ? null : question.average,
+    min: isSmall(question.answered, minCount) ? null : question.min,
+    max: isSmall(question.answered, minCount) ? null : question.max
+  }),
+  ...('npsScore' in question && { npsScore: isSmall(question.answered, minCount) ? null : question.npsScore })
+});
+
+const hasSmallCounts = (question, minCount) => isSmall(question.answered, minCount) ||
+  (question.options || []).some(option => isSmall(option.count, minCount));
+
+// Public view of a summary from lib/pollResults.js (timings are left out).
+// Suppression applies to the whole poll: once any count is small, the total and every
+// count and percentage on every question are withheld. Counts of one question can be
+// worked out from another's (e.g. a required question's counts add up to the total), so
+// hiding only the small ones would give them away.
+const formatPublicResults = (poll, summary) => {
+  const minCount = poll.resultsMinCount || 0;
+
+  if (isSmall(summary.totalSubmissions, minCount)) {
+    return { totalSubmissions: null, suppressed: true, minCount, questions: [] };
+  }
+
+  const questions = summary.questions || [];
+  const withheld = questions.some(question => hasSmallCounts(question, minCount));
+
+  return {
+    totalSubmissions: withheld ? null : summary.totalSubmissions,
+    suppressed: withheld,
+    minCount,
+    questions: questions.map(question => formatQuestion(question, minCount, withheld))
+  };
+};
+
+module.exports = { checkResultsAccess, formatPublicResults };
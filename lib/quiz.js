@@ -0,0 +1,71 @@
+const Submission = require('../models/Submission');
+
+// Quiz scoring. A question counts towards the score when it has correctAnswers;
+// it earns its points only when answered correctly (no partial credit).
+
+const RESCORE_BATCH_SIZE = 500;
+
+const isScored = (question) => Array.isArray(question.correctAnswers) && question.correctAnswers.length > 0;
+
+// Text is compared case-insensitively, everything else by value
+const sameAnswer = (a, b) => (typeof a === 'string' && typeof b === 'string'
+  ? a.trim().toLowerCase() === b.trim().toLowerCase()
+  : String(a) === String(b));
+
+const isCorrect = (question, answer) => {
+  if (answer === undefined || answer === null) {
+    return false;
+  }
+  // Checkbox questions must have exactly the right options ticked
+  if (question.type === 'checkbox') {
+    const selected = Array.isArray(answer) ? answer : [answer];
+    return selected.length === question.correctAnswers.length &&
+      selected.every(value => question.correctAnswers.some(correct => sameAnswer(correct, value)));
+  }
+  return question.correctAnswers.some(correct => sameAnswer(correct, answer));
+};
+
+// Returns { score, maxScore } for normalized answers, both null when the poll isn't a quiz
+const scoreAnswers = (poll, answers) => {
+  if (!poll.isQuiz) {
+    return { score: null, maxScore: null };
+  }
+
+  const given = new Map(answers.map(answer => [answer.questionId, answer.answer]));
+  return poll.questions.filter(isScored).reduce((totals, question) => ({
+    score: totals.score + (isCorrect(question, given.get(question.id)) ? question.points : 0),
+    maxScore: totals.maxScore + question.points
+  }), { score: 0, maxScore: 0 });
+};
+
+// Questions as sent to participants: without the answer key
+const stripAnswerKey = (questions) => questions.map(question => {
+  const { correctAnswers, ...rest } = typeof question.toObject === 'function' ? question.toObject() : question;
+  return rest;
+});
+
+// Recompute every stored score after the answer key or the quiz flag changed
+const rescoreSubmissions = async (poll) => {
+  let operations = [];
+  const flush = async () => {
+    if (operations.length > 0) {
+      await Submission.bulkWrite(operations);
+      operations = [];
+    }
+  };
+
+  for await (const submission of Submission.find({ poll: poll._id }).select('answers').cursor()) {
+    operations.push({
+      updateOne: {
+        filter: { _id: submission._id },
+        update: { $set: scoreAnswers(poll, submission.answers) }
+      }
+    });
+    if (operations.length >= RESCORE_BATCH_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+};
+
+module.exports = { scoreAnswers, stripAnswerKey, rescoreSubmissions };
@@ -0,0 +1,216 @@
+const ExcelJS = require('exceljs');
+
+// Exports a poll's submissions as one row per submission: the participant fields
+// followed by one column per question. Rows are streamed straight from a MongoDB cursor.
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+const DEFAULT_TIMEZONE = process.env.EXPORT_TIMEZONE || 'UTC';
+const MULTI_VALUE_SEPARATOR = '; ';
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Milliseconds the timezone is ahead of UTC at the given instant
+const timezoneOffset = (date, timezone) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+    hourCycle: 'h23'
+  }).formatToParts(date).map(part => [part.type, Number(part.value)]));
+  const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second, date.getUTCMilliseconds());
+  return local - date.getTime();
+};
+
+const parseDate = (value, endOfDay, timezone) => {
+  // Plain dates cover the whole day in the export's timezone
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const wallClock = new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`);
+    if (Number.isNaN(wallClock.getTime())) return null;
+    // Second pass for days where the offset changes (daylight saving time)
+    const guess = new Date(wallClock.getTime() - timezoneOffset(wallClock, timezone));
+    return new Date(wallClock.getTime() - timezoneOffset(guess, timezone));
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Reads format, from, to, questions (comma-separated ids) and timezone from the query string.
+// Returns { error } or { format, timezone, questions, filter }.
+const parseExportOptions = (poll, query) => {
+  const format = (query.format || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    return { error: `Format must be one of: ${EXPORT_FORMATS.join(', ')}` };
+  }
+
+  const timezone = query.timezone || DEFAULT_TIMEZONE;
+  if (!isValidTimezone(timezone)) {
+    return { error: `Unknown timezone "${timezone}"` };
+  }
+
+  const filter = { poll: poll._id };
+  if (query.from || query.to) {
+    filter.submittedAt = {};
+    if (query.from) {
+      const from = parseDate(query.from, false, timezone);
+      if (!from) return { error: 'Invalid "from" date' };
+      filter.submittedAt.$gte = from;
+    }
+    if (query.to) {
+      const to = parseDate(query.to, true, timezone);
+      if (!to) return { error: 'Invalid "to" date' };
+      filter.submittedAt.$lte = to;
+    }
+  }
+
+  let questions = poll.questions;
+  if (query.questions) {
+    const ids = String(query.questions).split(',').map(id => id.trim()).filter(Boolean);
+    const unknown = ids.filter(id => !poll.questions.some(question => question.id === id));
+    if (unknown.length > 0) {
+      return { error: `Unknown question ids: ${unknown.join(', ')}` };
+    }
+    questions = poll.questions.filter(question => ids.includes(question.id));
+  }
+
+  return { format, timezone, questions, filter };
+};
+
+// "YYYY-MM-DD HH:mm:ss" in the requested timezone
+const formatTimestamp = (date, timezone) => {
+  if (!date) return '';
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).map(part => [part.type, part.value]));
+  return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}:${parts.second}`;
+};
+
+// Checkbox answers become "a; b; c"
+const flattenAnswer = (value) => {
+  if (value === undefined || value === null) return '';
+  return Array.isArray(value) ? value.join(MULTI_VALUE_SEPARATOR) : value;
+};
+
+// Anonymous polls are exported without the identity columns (includeIdentity: false)
+const buildColumns = (questions, timezone, { includeScore = false, includeIdentity = true } = {}) => [
+  { header: 'Submission ID', value: submission => String(submission._id) },
+  { header: `Submitted at (${timezone})`, value: submission => formatTimestamp(submission.submittedAt, timezone) },
+  ...(includeIdentity ? [
+    { header: 'Name', value: submission => submission.participantName || '' },
+    { header: 'Email', value: submission => submission.participantEmail || '' },
+    { header: 'Phone', value: submission => submission.participantPhone || '' }
+  ] : []),
+  { header: 'Consent', value: submission => (submission.consentAgreed ? 'yes' : 'no') },
+  ...(includeScore ? [
+    { header: 'Score', value: submission => (submission.score === null ? '' : submission.score) },
+    { header: 'Max score', value: submission => (submission.maxScore === null ? '' : submission.maxScore) }
+  ] : []),
+  ...questions.map(question => ({
+    header: question.text,
+    value: (submission) => {
+      const answer = submission.answers.find(item => item.questionId === question.id);
+      return flattenAnswer(answer && answer.answer);
+    }
+  }))
+];
+
+// Quote CSV fields and neutralize values a spreadsheet would run as formulas
+const csvField = (value) => {
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text) && typeof value !== 'number') {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvLine = (values) => `${values.map(csvField).join(',')}\r\n`;
+
+// Resolves once the response can take more data, or when the client has gone away
+const waitForDrain = (res) => new Promise(resolve => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+const streamCsv = async (res, cursor, columns) => {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  // BOM so Excel detects UTF-8
+  res.write(`\uFEFF${csvLine(columns.map(column => column.header))}`);
+
+  for await (const submission of cursor) {
+    if (res.destroyed) break;
+    if (!res.write(csvLine(columns.map(column => column.value(submission))))) {
+      await waitForDrain(res);
+    }
+  }
+  if (!res.destroyed) {
+    res.end();
+  }
+};
+
+const streamXlsx = async (res, cursor, columns) => {
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useSharedStrings: false, useStyles: true });
+  const sheet = workbook.addWorksheet('Submissions');
+  sheet.columns = columns.map(column => ({ header: column.header, width: Math.min(Math.max(column.header.length + 2, 12), 50) }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+
+  for await (const submission of cursor) {
+    if (res.destroyed) return;
+    sheet.addRow(columns.map(column => column.value(submission))).commit();
+  }
+
+  if (res.destroyed) return;
+  sheet.commit();
+  await workbook.commit();
+};
+
+// Streams the export and sets the download headers. `title` is used for the file name.
+const streamExport = async (res, { format, title, cursor, columns }) => {
+  const baseName = String(title || 'poll').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'poll';
+  const date = new Date().toISOString().slice(0, 10);
+  res.setHeader('Content-Disposition', `attachment; filename="${baseName}-${date}.${format}"`);
+
+  // A client that disconnects mid-download must not keep the cursor open
+  const onClose = () => {
+    if (!res.writableFinished) {
+      cursor.close().catch(error => console.error('Export cursor close error:', error));
+    }
+  };
+  res.once('close', onClose);
+
+  try {
+    if (format === 'xlsx') {
+      await streamXlsx(res, cursor, columns);
+    } else {
+      await streamCsv(res, cursor, columns);
+    }
+  } finally {
+    res.off('close', onClose);
+  }
+};
+
+module.exports = { EXPORT_FORMATS, parseExportOptions, buildColumns, streamExport };
@@ -0,0 +1,81 @@
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const { generateToken, hashToken } = require('./tokens');
+
+const REFRESH_TOKEN_EXPIRE_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_EXPIRE_DAYS * 24 * 60 * 60 * 1000);
+
+// Short-lived access token bound to a session
+const signAccessToken = (user, session) => jwt.sign(
+  { id: user._id, sid: session._id },
+  process.env.JWT_SECRET,
+  { expiresIn: process.env.JWT_EXPIRE || '15m' }
+);
+
+// Start a new session for a user and return the token pair
+const createSession = async (user, req, { twoFactorVerified = false } = {}) => {
+  const refreshToken = generateToken(48);
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent: (req.headers['user-agent'] || '').substring(0, 300),
+    ip: req.ip || '',
+    twoFactorVerifiedAt: twoFactorVerified ? new Date() : null,
+    expireAt: refreshExpiry()
+  });
+
+  return {
+    session,
+    token: signAccessToken(user, session),
+    refreshToken
+  };
+};
+
+// Exchange a refresh token for a new token pair. Returns null when the token is unknown,
+// expired or revoked. Re-use of an already rotated token revokes the whole session.
+const rotateSession = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+  const session = await Session.findOne({ refreshTokenHash: tokenHash });
+
+  if (!session) {
+    const reused = await Session.findOne({ previousRefreshTokenHash: tokenHash, revokedAt: null });
+    if (reused) {
+      reused.revokedAt = new Date();
+      await reused.save();
+    }
+    return null;
+  }
+
+  if (!session.isActive()) {
+    return null;
+  }
+
+  const nextRefreshToken = generateToken(48);
+  session.previousRefreshTokenHash = session.refreshTokenHash;
+  session.refreshTokenHash = hashToken(nextRefreshToken);
+  session.lastUsedAt = new Date();
+  session.expireAt = refreshExpiry();
+  if (req.ip) {
+    session.ip = req.ip;
+  }
+  await session.save();
+
+  return { session, refreshToken: nextRefreshToken };
+};
+
+const revokeSession = (sessionId, userId) => Session.updateOne(
+  { _id: sessionId, user: userId, revokedAt: null },
+  { revokedAt: new Date() }
+);
+
+// Revoke every session of a user, optionally keeping one (e.g. the current device)
+const revokeAllSessions = (userId, exceptSessionId = null) => {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+  return Session.updateMany(filter, { revokedAt: new Date() });
+};
+
+module.exports = { signAccessToken, createSession, rotateSession, revokeSession, revokeAllSessions };
@@ -0,0 +1,88 @@
+const { generateToken, hashToken } = require('./tokens');
+
+// Duplicate-submission policies for public polls.
+// The database enforces them through the unique (poll, dedupeKey) index on Submission.
+
+const DEVICE_COOKIE = 'ep_device';
+const DEVICE_COOKIE_MAX_AGE_DAYS = 365;
+const DEVICE_TOKEN_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+const readCookie = (req, name) => {
+  const header = req.headers.cookie || '';
+  const match = header.split(';').map(part => part.trim()).find(part => part.startsWith(`${name}=`));
+  return match ? decodeURIComponent(match.slice(name.length + 1)) : null;
+};
+
+// The device token can come from the X-Device-Token header, the request body or the cookie
+const readDeviceToken = (req) => {
+  const token = req.headers['x-device-token'] || (req.body && req.body.deviceToken) || readCookie(req, DEVICE_COOKIE);
+  return typeof token === 'string' && DEVICE_TOKEN_PATTERN.test(token) ? token : null;
+};
+
+// Returns the device token for this request, issuing (and setting the cookie for) a new one if needed
+const ensureDeviceToken = (req, res) => {
+  const existing = readDeviceToken(req);
+  if (existing) {
+    return existing;
+  }
+
+  const token = generateToken(24);
+  res.cookie(DEVICE_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure,
+    maxAge: DEVICE_COOKIE_MAX_AGE_DAYS * 24 * 60 * 60 * 1000
+  });
+  return token;
+};
+
+// How duplicates are detected: 'email', 'device' or null for unlimited polls.
+// One-per-email polls fall back to the device when no address is collected
+// (anonymous polls, or optional identity polls answered without one).
+const dedupeMethod = (poll, { email } = {}) => {
+  switch (poll.submissionPolicy) {
+    case 'email':
+      return poll.identityMode !== 'anonymous' && email ? 'email' : 'device';
+    case 'device':
+      return 'device';
+    default:
+      return null;
+  }
+};
+
+// Key identifying the participant under the poll's policy, or undefined for unlimited polls
+const buildDedupeKey = (poll, { email, deviceToken }) => {
+  switch (dedupeMethod(poll, { email })) {
+    case 'email':
+      return `email:${String(email).trim().toLowerCase()}`;
+    case 'device':
+      return `device:${hashToken(deviceToken)}`;
+    default:
+      return undefined;
+  }
+};
+
+const cleanField = (value) => (typeof value === 'string' ? value.trim() : '');
+
+// Participant details to store under the poll's identity mode, merged over `current`
+// (the earlier submission when updating). Returns { error } or { participant }.
+// Anonymous polls never store any of them.
+const readParticipant = (poll, body, current = {}) => {
+  if (poll.identityMode === 'anonymous') {
+    return { participant: { participantName: '', participantEmail: '', participantPhone: '' } };
+  }
+
+  const pick = (field) => (body[field] !== undefined ? cleanField(body[field]) : (current[field] || ''));
+  const participant = {
+    participantName: pick('participantName'),
+    participantEmail: pick('participantEmail'),
+    participantPhone: pick('participantPhone')
+  };
+
+  if (poll.identityMode !== 'optional' && (!participant.participantName || !participant.participantEmail)) {
+    return { error: 'Please provide your name and email' };
+  }
+  return { participant };
+};
+
+module.exports = { readDeviceToken, ensureDeviceToken, dedupeMethod, buildDedupeKey, readParticipant };
@@ -0,0 +1,53 @@
+const jwt = require('jsonwebtoken');
+const { clientUrl } = require('./urls');
+
+// Signed links that let a participant view, change or withdraw their own submission
+// without an account. The token only names the submission; the submission itself
+// is looked up (and must still exist) on every use.
+
+const EDIT_TOKEN_MAX_DAYS = parseInt(process.env.SUBMISSION_EDIT_DAYS) || 30;
+const MIN_EXPIRE_SECONDS = 60;
+
+// Valid for SUBMISSION_EDIT_DAYS, or until the poll's closing date if that comes first
+const editTokenLifetime = (poll, now = Date.now()) => {
+  let seconds = EDIT_TOKEN_MAX_DAYS * 24 * 60 * 60;
+  if (poll.expireAt) {
+    seconds = Math.min(seconds, Math.floor((new Date(poll.expireAt).getTime() - now) / 1000));
+  }
+  return Math.max(seconds, MIN_EXPIRE_SECONDS);
+};
+
+// Returns { token, expiresAt }. Like the other purpose tokens it has no session id,
+// so `protect` never accepts it as an access token.
+const signEditToken = (submission, poll) => {
+  const expiresIn = editTokenLifetime(poll);
+  const token = jwt.sign(
+    { submission: String(submission._id), poll: String(poll._id), purpose: 'submission-edit' },
+    process.env.JWT_SECRET,
+    { expiresIn }
+  );
+  return { token, expiresAt: new Date(Date.now() + expiresIn * 1000) };
+};
+
+const verifyEditToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === 'submission-edit' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// The edit token can come from the X-Edit-Token header, ?token= or the request body
+const readEditToken = (req) => {
+  const token = req.headers['x-edit-token'] || req.query.token || (req.body && req.body.editToken);
+  return typeof token === 'string' ? token : null;
+};
+
+// Link to the frontend's edit page for a submission
+const buildEditUrl = (poll, organization, token) => {
+  const params = new URLSearchParams({ tenant: organization.slug, token });
+  return clientUrl(`/poll/${encodeURIComponent(poll.slug || String(poll._id))}/edit?${params}`);
+};
+
+module.exports = { signEditToken, verifyEditToken, readEditToken, buildEditUrl };
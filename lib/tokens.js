@@ -0,0 +1,9 @@
+const crypto = require('crypto');
+
+// Random, URL-safe token handed to the client (invites, resets, ...)
+const generateToken = (bytes = 32) => crypto.randomBytes(bytes).toString('hex');
+
+// Only the SHA-256 hash of a token is ever stored in the database
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+module.exports = { generateToken, hashToken };
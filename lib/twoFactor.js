@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { verifyTotp } = require('./totp');
+const { hashToken } = require('./tokens');
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_EXPIRE = '5m';
+
+// Fields that are hidden by default but needed to check a second factor
+const TWO_FACTOR_FIELDS = '+twoFactorSecret +twoFactorPendingSecret +twoFactorRecoveryCodes +twoFactorLastStep';
+
+const findUserWithTwoFactor = (userId) => User.findById(userId).select(TWO_FACTOR_FIELDS);
+
+// Returns { codes, hashes }: the plain codes are shown to the user once, only hashes are stored
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(code => hashToken(code.toLowerCase())) };
+};
+
+// Check a TOTP code or a one-time recovery code for a user loaded with TWO_FACTOR_FIELDS.
+// Accepted codes are consumed (recovery codes removed, TOTP steps can't be replayed).
+// Returns 'totp', 'recovery' or null.
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (!user.twoFactorEnabled || !user.twoFactorSecret) {
+    return null;
+  }
+
+  if (code) {
+    const step = verifyTotp(user.twoFactorSecret, code);
+    if (step === null || (user.twoFactorLastStep !== null && step <= user.twoFactorLastStep)) {
+      return null;
+    }
+    user.twoFactorLastStep = step;
+    await user.save();
+    return 'totp';
+  }
+
+  if (recoveryCode) {
+    const hash = hashToken(String(recoveryCode).trim().toLowerCase());
+    if (!user.twoFactorRecoveryCodes.includes(hash)) {
+      return null;
+    }
+    user.twoFactorRecoveryCodes = user.twoFactorRecoveryCodes.filter(h => h !== hash);
+    await user.save();
+    return 'recovery';
+  }
+
+  return null;
+};
+
+// Short-lived token proving the password step of a login succeeded.
+// It carries no session id, so `protect` never accepts it as an access token.
+const signChallengeToken = (user) => jwt.sign(
+  { id: user._id, purpose: '2fa-login' },
+  process.env.JWT_SECRET,
+  { expiresIn: CHALLENGE_EXPIRE }
+);
+
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === '2fa-login' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  TWO_FACTOR_FIELDS,
+  findUserWithTwoFactor,
+  generateRecoveryCodes,
+  verifySecondFactor,
+  signChallengeToken,
+  verifyChallengeToken
+};
@@ -0,0 +1,8 @@
+// Build a link into the frontend app.
+// CLIENT_URL may hold several comma-separated origins (see CORS in server.js); links use the first one.
+const clientUrl = (path = '') => {
+  const base = (process.env.CLIENT_URL || 'http://localhost:5173').split(',')[0].trim().replace(/\/$/, '');
+  return `${base}${path}`;
+};
+
+module.exports = { clientUrl };
@@ -1,9 +1,67 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const Organization = require('../models/Organization');
+const { hasPermission } = require('../lib/permissions');
+const { hashToken } = require('../lib/tokens');
 
+// Every authenticated request is scoped to the user's business (tenant).
+// Returns false when the business no longer exists or has been disabled.
+const attachOrganization = async (req) => {
+  const organization = await Organization.findById(req.user.organization);
+  if (!organization || !organization.isActive) {
+    return false;
+  }
+  req.organization = organization;
+  req.organizationId = organization._id.toString();
+  return true;
+};
+
+// Only write lastUsedAt once a minute per key
+const API_KEY_TOUCH_INTERVAL_MS = 60 * 1000;
+
+// Authenticate a request made with an X-API-Key header
+const authenticateApiKey = async (req, res, next, key) => {
+  try {
+    const apiKey = await ApiKey.findOne({ keyHash: hashToken(key) });
+
+    if (!apiKey || !apiKey.isActive()) {
+      return res.status(401).json({ message: 'Not authorized, API key is invalid, expired or revoked' });
+    }
+
+    req.user = await User.findById(apiKey.user).select('-password');
+
+    if (!req.user || req.user.status !== 'active') {
+      return res.status(401).json({ message: 'Not authorized, API key owner is not active' });
+    }
+
+    if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > API_KEY_TOUCH_INTERVAL_MS) {
+      await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date(), lastUsedIp: req.ip || '' });
+    }
+
+    if (!await attachOrganization(req)) {
+      return res.status(401).json({ message: 'Not authorized, business is not active' });
+    }
+
+    req.apiKey = apiKey;
+  } catch (error) {
+    console.error('API key auth error:', error);
+    return res.status(401).json({ message: 'Not authorized, API key failed' });
+  }
+
+  return next();
+};
+
+// Accepts either "Authorization: Bearer <access token>" or "X-API-Key: <key>"
 const protect = async (req, res, next) => {
   let token;
 
+  const apiKeyHeader = req.headers['x-api-key'];
+  if (apiKeyHeader) {
+    return authenticateApiKey(req, res, next, apiKeyHeader);
+  }
+
   // Check if the Authorization header exists and starts with 'Bearer'
   if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
     try {
@@ -13,6 +71,12 @@ const protect = async (req, res, next) => {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+      // Every access token is bound to a server-side session that can be revoked
+      const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+      if (!session || !session.isActive() || session.user.toString() !== decoded.id) {
+        return res.status(401).json({ message: 'Not authorized, session expired or revoked' });
+      }
+
       // Attach user to request object (without password)
       req.user = await User.findById(decoded.id).select('-password');
 
@@ -20,11 +84,27 @@ const protect = async (req, res, next) => {
         return res.status(401).json({ message: 'Not authorized, user not found' });
       }
 
-      next();
+      if (req.user.status !== 'active') {
+        return res.status(401).json({ message: 'Not authorized, account is not active' });
+      }
+
+      // Tokens issued before the last password change are no longer valid
+      if (req.user.passwordChangedAt && Math.floor(req.user.passwordChangedAt.getTime() / 1000) > decoded.iat) {
+        return res.status(401).json({ message: 'Not authorized, password was changed. Please log in again.' });
+      }
+
+      req.authSession = session;
+      req.sessionId = session._id.toString();
+
+      if (!await attachOrganization(req)) {
+        return res.status(401).json({ message: 'Not authorized, business is not active' });
+      }
     } catch (error) {
       console.error('Auth middleware error:', error);
       return res.status(401).json({ message: 'Not authorized, token failed' });
     }
+
+    return next();
   }
 
   if (!token) {
@@ -32,4 +112,88 @@ const protect = async (req, res, next) => {
   }
 };
 
-module.exports = { protect };
+// Require every listed permission for the logged-in user's role.
+// Must run after `protect`.
+const authorize = (...permissions) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ message: 'Not authorized, no token' });
+  }
+
+  // API keys are limited to their scopes and can never exceed their owner's role
+  const missing = permissions.filter(permission => !hasPermission(req.user.role, permission) ||
+    (req.apiKey && !req.apiKey.scopes.includes(permission)));
+  if (missing.length > 0) {
+    return res.status(403).json({
+      message: 'Access denied. You do not have permission to perform this action.',
+      missingPermissions: missing
+    });
+  }
+
+  next();
+};
+
+// What a long-lived request (such as a live results stream) was authenticated with, so it
+// can be checked again later with checkAccessGrant. Must run after `protect`.
+const accessGrant = (req) => ({
+  id: String(req.user._id),
+  session: req.sessionId || null,
+  apiKey: req.apiKey ? String(req.apiKey._id) : null,
+  organization: req.organizationId
+});
+
+// Whether a grant from accessGrant still holds: the session or API key hasn't been revoked
+// or expired, the user is active and still has every permission, and the business is active
+const checkAccessGrant = async (grant, ...permissions) => {
+  const [user, credential, organization] = await Promise.all([
+    User.findById(grant.id).select('-password'),
+    grant.session ? Session.findById(grant.session) : ApiKey.findById(grant.apiKey),
+    Organization.findById(grant.organization)
+  ]);
+
+  if (!user || user.status !== 'active' || String(user.organization) !== String(grant.organization)) {
+    return false;
+  }
+  if (!credential || !credential.isActive() || credential.user.toString() !== grant.id) {
+    return false;
+  }
+  if (!organization || !organization.isActive) {
+    return false;
+  }
+  return permissions.every(permission => hasPermission(user.role, permission) &&
+    (!grant.apiKey || credential.scopes.includes(permission)));
+};
+
+const TWO_FACTOR_FRESH_MINUTES = parseInt(process.env.TWO_FACTOR_FRESH_MINUTES) || 5;
+
+// Endpoints about the signed-in user's own account (sessions, password, 2FA, API keys)
+// can't be reached with an API key. Must run after `protect`.
+const requireSession = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({ message: 'This endpoint requires a signed-in user, not an API key' });
+  }
+  next();
+};
+
+// Destructive actions need a recent 2FA check on the current session when the user has 2FA enabled.
+// The client confirms with POST /api/auth/2fa/confirm and retries. Must run after `protect`.
+const requireFreshTwoFactor = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({ message: 'This action requires a signed-in user, not an API key' });
+  }
+
+  if (!req.user.twoFactorEnabled) {
+    return next();
+  }
+
+  const verifiedAt = req.authSession && req.authSession.twoFactorVerifiedAt;
+  if (!verifiedAt || Date.now() - verifiedAt.getTime() > TWO_FACTOR_FRESH_MINUTES * 60 * 1000) {
+    return res.status(403).json({
+      message: 'Please confirm this action with your two-factor code',
+      requiresTwoFactor: true
+    });
+  }
+
+  next();
+};
+
+module.exports = { protect, authorize, requireSession, requireFreshTwoFactor, accessGrant, checkAccessGrant };
@@ -0,0 +1,74 @@
+const Organization = require('../models/Organization');
+
+// Work out which business a public request is for:
+//   1. X-Tenant header (slug)
+//   2. ?tenant=<slug> query parameter
+//   3. Subdomain of TENANT_BASE_DOMAIN (e.g. luna.eventpro.app -> "luna")
+// Deployments hosting a single business don't need any of these: when exactly one
+// organization exists it is used.
+const getRequestedSlug = (req) => {
+  if (req.headers['x-tenant']) {
+    return String(req.headers['x-tenant']).trim().toLowerCase();
+  }
+
+  if (req.query && typeof req.query.tenant === 'string') {
+    return req.query.tenant.trim().toLowerCase();
+  }
+
+  const baseDomain = process.env.TENANT_BASE_DOMAIN;
+  const host = (req.hostname || '').toLowerCase();
+  if (baseDomain && host.endsWith(`.${baseDomain}`)) {
+    const subdomain = host.slice(0, -(baseDomain.length + 1));
+    if (subdomain && !subdomain.includes('.')) {
+      return subdomain;
+    }
+  }
+
+  return null;
+};
+
+const findTenant = async (req) => {
+  const slug = getRequestedSlug(req);
+  if (slug) {
+    return Organization.findOne({ slug, isActive: true });
+  }
+
+  const organizations = await Organization.find({ isActive: true }).limit(2);
+  return organizations.length === 1 ? organizations[0] : null;
+};
+
+// Attach req.organization or reject the request
+const resolveTenant = async (req, res, next) => {
+  try {
+    const organization = await findTenant(req);
+
+    if (!organization) {
+      return res.status(404).json({ message: 'Business not found' });
+    }
+
+    req.organization = organization;
+    req.organizationId = organization._id.toString();
+  } catch (error) {
+    console.error('Tenant resolution error:', error);
+    return res.status(500).json({ message: 'Server error resolving business' });
+  }
+
+  return next();
+};
+
+// Same as resolveTenant, but lets the request through without a tenant
+const optionalTenant = async (req, res, next) => {
+  try {
+    const organization = await findTenant(req);
+    if (organization) {
+      req.organization = organization;
+      req.organizationId = organization._id.toString();
+    }
+  } catch (error) {
+    console.error('Tenant resolution error:', error);
+  }
+
+  return next();
+};
+
+module.exports = { resolveTenant, optionalTenant };
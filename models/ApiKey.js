@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// Scoped key for server-to-server integrations (POS, website backend, ...).
+// Only a SHA-256 hash of the key is stored; the key itself is shown once at creation.
+const ApiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a key name']
+  },
+  // The user the key acts as
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // First characters of the key, so it can be recognised in lists ("ep_1a2b3c4d…")
+  prefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // Permissions granted to the key, e.g. 'bookings:read', 'polls:write'
+  scopes: {
+    type: [String],
+    default: []
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: ''
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ApiKeySchema.index({ user: 1, createdAt: -1 });
+
+ApiKeySchema.methods.isActive = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+module.exports = mongoose.model('ApiKey', ApiKeySchema);
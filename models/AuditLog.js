@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// Who changed what, and when. Written for every admin mutation.
+const AuditLogSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Snapshot of the actor, so entries stay readable after the user is removed
+  actorName: {
+    type: String,
+    default: ''
+  },
+  actorEmail: {
+    type: String,
+    default: ''
+  },
+  // Set when the change was made with an API key instead of a signed-in user
+  apiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    default: null
+  },
+  // "<entity>.<verb>", e.g. 'poll.update', 'booking.confirm', 'settings.update'
+  action: {
+    type: String,
+    required: true
+  },
+  entityType: {
+    type: String,
+    enum: ['poll', 'pollTemplate', 'venue', 'booking', 'settings', 'backup', 'account', 'user', 'apiKey'],
+    required: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Field-level before/after values
+  changes: [
+    {
+      _id: false,
+      field: String,
+      before: mongoose.Schema.Types.Mixed,
+      after: mongoose.Schema.Types.Mixed
+    }
+  ],
+  // Free-form extra information (import counts, ...)
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+AuditLogSchema.index({ organization: 1, createdAt: -1 });
+AuditLogSchema.index({ organization: 1, entityType: 1, entityId: 1, createdAt: -1 });
+AuditLogSchema.index({ organization: 1, actor: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
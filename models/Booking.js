@@ -6,6 +6,12 @@ const BookingSchema = new mongoose.Schema({
     ref: 'BookingVenue',
     required: true
   },
+  // Copied from the venue so bookings can be scoped without a join
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
   tableNumber: {
     type: String,
     required: true
@@ -65,5 +71,6 @@ const BookingSchema = new mongoose.Schema({
 // Index for efficient queries
 BookingSchema.index({ venue: 1, date: 1, tableNumber: 1 });
 BookingSchema.index({ status: 1, createdAt: -1 });
+BookingSchema.index({ organization: 1, createdAt: -1 });
 
 module.exports = mongoose.model('Booking', BookingSchema);
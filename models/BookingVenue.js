@@ -69,15 +69,29 @@ const BookingVenueSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Spam and bot protection on the public booking form, see lib/formProtection.js (all off by default)
+  formProtection: {
+    honeypot: { type: Boolean, default: false },
+    minFillSeconds: { type: Number, min: 0, default: 0 },
+    proofOfWork: { type: Number, min: 0, default: 0 },
+    captcha: { type: Boolean, default: false }
+  },
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+BookingVenueSchema.index({ organization: 1, createdAt: -1 });
+
 module.exports = mongoose.model('BookingVenue', BookingVenueSchema);
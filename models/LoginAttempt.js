@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// One document per login attempt (password step or 2FA step), kept for admin review
+const LoginAttemptSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    default: '',
+    lowercase: true,
+    trim: true
+  },
+  // Null when the email doesn't belong to any account
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Business of the user; null for unknown emails, which no tenant can see
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  // Why the attempt failed (or which step succeeded)
+  reason: {
+    type: String,
+    enum: ['success', '2fa_required', 'invalid_credentials', 'locked', 'inactive', '2fa_failed'],
+    required: true
+  },
+  // Successful logins that look unusual (new IP or device, preceded by failures)
+  suspicious: {
+    type: Boolean,
+    default: false
+  },
+  suspiciousReasons: {
+    type: [String],
+    default: []
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  expireAt: {
+    type: Date,
+    required: true
+  }
+});
+
+LoginAttemptSchema.index({ organization: 1, createdAt: -1 });
+LoginAttemptSchema.index({ user: 1, createdAt: -1 });
+LoginAttemptSchema.index({ email: 1, createdAt: -1 });
+LoginAttemptSchema.index({ suspicious: 1, createdAt: -1 });
+
+// Login history is kept for a retention period, then removed automatically
+LoginAttemptSchema.index({ expireAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginAttempt', LoginAttemptSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Failed-login counter for one email address or one IP address
+const LoginThrottleSchema = new mongoose.Schema({
+  // "email:<address>" or "ip:<address>"
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastFailureAt: {
+    type: Date,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  // Counters reset on their own once the attacker goes quiet
+  expireAt: {
+    type: Date,
+    required: true
+  }
+});
+
+LoginThrottleSchema.index({ expireAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginThrottle', LoginThrottleSchema);
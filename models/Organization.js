@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// A business (tenant). Users, settings, polls, venues and bookings all belong to one.
+const OrganizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a business name']
+  },
+  // Used to resolve the tenant on public routes: subdomain, X-Tenant header or ?tenant=
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9](?:[a-z0-9-]{0,48}[a-z0-9])?$/, 'Slug may only contain lowercase letters, numbers and dashes']
+  },
+  // The admin who created the business during setup
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Slugs that would clash with hostnames or routes
+OrganizationSchema.statics.RESERVED_SLUGS = ['www', 'api', 'app', 'admin', 'mail', 'static'];
+
+// Turn a business name into a slug candidate ("Café Luna & Bar" -> "cafe-luna-bar")
+OrganizationSchema.statics.slugify = function(value) {
+  return String(value || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, 50)
+    .replace(/-+$/g, '');
+};
+
+// Find a free slug based on the given name, adding -2, -3, ... when taken
+OrganizationSchema.statics.generateUniqueSlug = async function(name) {
+  const base = this.slugify(name) || 'business';
+  let candidate = base;
+  let suffix = 2;
+
+  while (this.RESERVED_SLUGS.includes(candidate) || await this.exists({ slug: candidate })) {
+    candidate = `${base.substring(0, 46)}-${suffix}`;
+    suffix++;
+  }
+  return candidate;
+};
+
+module.exports = mongoose.model('Organization', OrganizationSchema);
@@ -1,4 +1,134 @@
 const mongoose = require('mongoose');
+const Organization = require('./Organization');
+
+const SUBMISSION_POLICIES = ['unlimited', 'email', 'device'];
+const IDENTITY_MODES = ['identified', 'optional', 'anonymous'];
+const RESULTS_VISIBILITIES = ['never', 'after_vote', 'after_close', 'always'];
+const POLL_STATUSES = ['draft', 'scheduled', 'open', 'closed', 'archived'];
+const QUESTION_TYPES = ['text', 'longtext', 'email', 'number', 'date', 'button', 'dropdown', 'checkbox', 'rating', 'nps'];
+const RULE_OPERATORS = ['equals', 'not_equals', 'in', 'not_in', 'contains', 'gt', 'gte', 'lt', 'lte', 'answered', 'not_answered'];
+// Skip target meaning "jump past the last question"
+const END_OF_POLL = '_end';
+
+// Condition on an answer, e.g. { questionId: 'q1', operator: 'lte', value: 2 }
+const ConditionSchema = new mongoose.Schema({
+  questionId: {
+    type: String,
+    required: true
+  },
+  operator: {
+    type: String,
+    enum: RULE_OPERATORS,
+    required: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, { _id: false });
+
+// After the question is answered: if the condition on its answer holds, jump to `target`
+const SkipRuleSchema = new mongoose.Schema({
+  operator: {
+    type: String,
+    enum: RULE_OPERATORS,
+    required: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  target: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
+// Cap on how many submissions may pick one option of a choice question
+const OptionQuotaSchema = new mongoose.Schema({
+  questionId: {
+    type: String,
+    required: true
+  },
+  option: {
+    type: String,
+    required: true
+  },
+  limit: {
+    type: Number,
+    min: 1,
+    required: true
+  },
+  // Maintained atomically by lib/pollQuotas.js, never set directly
+  count: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+// One question of a poll (also used by poll templates)
+const QuestionSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  // text / longtext / email / date: free input
+  // button / dropdown: pick one option, checkbox: pick any number of options
+  // rating: 1..scale, nps: 0..10, number: between min and max
+  type: {
+    type: String,
+    enum: QUESTION_TYPES,
+    default: 'text'
+  },
+  options: {
+    type: [String],
+    default: []
+  },
+  required: {
+    type: Boolean,
+    default: false
+  },
+  // Rating scale (5 or 10 stars/points)
+  scale: {
+    type: Number,
+    enum: [5, 10],
+    default: 5
+  },
+  // Bounds for number questions
+  min: {
+    type: Number,
+    default: null
+  },
+  max: {
+    type: Number,
+    default: null
+  },
+  // Only shown when every condition on earlier answers holds
+  showIf: {
+    type: [ConditionSchema],
+    default: []
+  },
+  // First matching rule skips ahead to a later question (or END_OF_POLL)
+  skipTo: {
+    type: [SkipRuleSchema],
+    default: []
+  },
+  // Quiz answer key: accepted answers (checkbox: the exact set of options to tick).
+  // Never sent to participants.
+  correctAnswers: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  points: {
+    type: Number,
+    min: 0,
+    default: 1
+  }
+});
 
 const PollSchema = new mongoose.Schema({
   title: {
@@ -9,32 +139,22 @@ const PollSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
-  questions: [
-    {
-      id: {
-        type: String,
-        required: true
-      },
-      text: {
-        type: String,
-        required: true
-      },
-      type: {
-        type: String,
-        enum: ['text', 'button', 'dropdown'],
-        default: 'text'
-      },
-      options: {
-        type: [String],
-        default: []
-      }
-    }
-  ],
+  questions: [QuestionSchema],
+  // Quiz polls score each submission against the questions' correctAnswers
+  isQuiz: {
+    type: Boolean,
+    default: false
+  },
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
   consentEnabled: {
     type: Boolean,
     default: false
@@ -43,18 +163,226 @@ const PollSchema = new mongoose.Schema({
     type: String,
     default: null
   },
-  createdAt: {
+  // How many times one participant may answer: no limit, once per email or once per device
+  submissionPolicy: {
+    type: String,
+    enum: SUBMISSION_POLICIES,
+    default: 'unlimited'
+  },
+  // Participant details: name and email required, optional, or never collected.
+  // Anonymous polls store no name, email or phone and detect duplicates by device only.
+  identityMode: {
+    type: String,
+    enum: IDENTITY_MODES,
+    default: 'identified'
+  },
+  // Spam and bot protection on the public form, see lib/formProtection.js (all off by default)
+  formProtection: {
+    honeypot: { type: Boolean, default: false },
+    minFillSeconds: { type: Number, min: 0, default: 0 },
+    proofOfWork: { type: Number, min: 0, default: 0 },
+    captcha: { type: Boolean, default: false }
+  },
+  // Human-friendly identifier for public links, unique within the business
+  slug: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: undefined
+  },
+  // Who may see the aggregated results on the public side: nobody, participants once
+  // they've answered, everyone once the poll closes, or everyone
+  resultsVisibility: {
+    type: String,
+    enum: RESULTS_VISIBILITIES,
+    default: 'never'
+  },
+  // Public results withhold any count between 1 and resultsMinCount - 1 (0 = show all counts)
+  resultsMinCount: {
+    type: Number,
+    min: 0,
+    default: () => parseInt(process.env.PUBLIC_RESULTS_MIN_COUNT) || 0
+  },
+  // Also stream the public results live (only to those allowed by resultsVisibility)
+  publicLiveResults: {
+    type: Boolean,
+    default: false
+  },
+  // Stop accepting answers after this many submissions (null = no limit).
+  // A full poll counts as closed until a submission is withdrawn or the limit is raised.
+  responseLimit: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  // Number of submissions, maintained atomically by lib/pollQuotas.js
+  responseCount: {
+    type: Number,
+    default: 0
+  },
+  optionQuotas: {
+    type: [OptionQuotaSchema],
+    default: []
+  },
+  // Lifecycle: draft → scheduled/open → closed → archived. Scheduled polls open at
+  // opensAt and open polls close at expireAt without the status being rewritten,
+  // so always read the current state through getEffectiveStatus().
+  status: {
+    type: String,
+    enum: POLL_STATUSES,
+    default: 'open'
+  },
+  opensAt: {
     type: Date,
-    default: Date.now
+    default: null
   },
+  // Responses are accepted until this date
   expireAt: {
     type: Date,
     required: [true, 'Please add an expiry date']
+  },
+  // Set when an admin closes the poll before expireAt
+  closedAt: {
+    type: Date,
+    default: null
+  },
+  archivedAt: {
+    type: Date,
+    default: null
+  },
+  // Days to keep the poll and its responses after it closes (null = keep forever)
+  retentionDays: {
+    type: Number,
+    min: 1,
+    default: () => parseInt(process.env.POLL_RETENTION_DAYS) || null
+  },
+  // When the poll and its submissions get deleted, derived from the fields above
+  purgeAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
   }
 });
 
-// CRITICAL: TTL Index for automatic deletion
-// This tells MongoDB to delete the document immediately (0 seconds) after the expireAt date is reached
-PollSchema.index({ expireAt: 1 }, { expireAfterSeconds: 0 });
+PollSchema.index({ organization: 1, createdAt: -1 });
+PollSchema.index({ organization: 1, status: 1 });
+PollSchema.index(
+  { organization: 1, slug: 1 },
+  { unique: true, partialFilterExpression: { slug: { $type: 'string' } } }
+);
+
+// Retention: the TTL index only removes polls whose purgeAt is set
+PollSchema.index({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+
+// Status from the stored status and the opensAt/expireAt dates alone
+const scheduledStatus = (poll, now) => {
+  if (poll.status !== 'scheduled' && poll.status !== 'open') {
+    return poll.status;
+  }
+  if (poll.expireAt <= now) {
+    return 'closed';
+  }
+  if (poll.opensAt && poll.opensAt > now) {
+    return 'scheduled';
+  }
+  return 'open';
+};
+
+// Status as seen right now, taking opensAt, expireAt and the response limit into account
+PollSchema.methods.getEffectiveStatus = function(now = new Date()) {
+  const status = scheduledStatus(this, now);
+  return status === 'open' && this.isFull() ? 'closed' : status;
+};
+
+// The response limit has been reached
+PollSchema.methods.isFull = function() {
+  return Boolean(this.responseLimit) && this.responseCount >= this.responseLimit;
+};
+
+PollSchema.methods.isAcceptingResponses = function(now = new Date()) {
+  return this.getEffectiveStatus(now) === 'open';
+};
+
+// Participants may change or withdraw their answers until the poll closes, even when it's full
+PollSchema.methods.isAcceptingChanges = function(now = new Date()) {
+  return scheduledStatus(this, now) === 'open';
+};
+
+// Query matching polls that accept responses right now
+PollSchema.statics.openFilter = function(now = new Date()) {
+  return {
+    status: { $in: ['scheduled', 'open'] },
+    expireAt: { $gt: now },
+    $and: [
+      { $or: [{ opensAt: null }, { opensAt: { $lte: now } }] },
+      { $or: [{ responseLimit: null }, { $expr: { $lt: ['$responseCount', '$responseLimit'] } }] }
+    ]
+  };
+};
+
+// Slugs are lowercase words joined by dashes. Anything shaped like an ObjectId is
+// refused so public routes can tell the two apart.
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const OBJECT_ID_PATTERN = /^[a-f0-9]{24}$/;
+
+PollSchema.statics.isValidSlug = function(slug) {
+  return typeof slug === 'string' && slug.length <= 60 && SLUG_PATTERN.test(slug) && !OBJECT_ID_PATTERN.test(slug);
+};
+
+// Find a free slug within the business based on the given title, adding -2, -3, ... when taken
+PollSchema.statics.generateUniqueSlug = async function(organization, title) {
+  let base = Organization.slugify(title) || 'poll';
+  if (!this.isValidSlug(base)) {
+    base = `poll-${base}`.substring(0, 50);
+  }
+
+  let candidate = base;
+  let suffix = 2;
+  while (await this.exists({ organization, slug: candidate })) {
+    candidate = `${base.substring(0, 46)}-${suffix}`;
+    suffix++;
+  }
+  return candidate;
+};
+
+// Public routes accept either the poll id or its slug
+PollSchema.statics.findByIdOrSlug = function(idOrSlug, organization) {
+  const key = String(idOrSlug);
+  return this.findOne(OBJECT_ID_PATTERN.test(key) ? { _id: key, organization } : { slug: key.toLowerCase(), organization });
+};
+
+// Polls created before slugs existed get one the first time it's needed
+PollSchema.methods.ensureSlug = async function() {
+  if (!this.slug) {
+    this.slug = await this.constructor.generateUniqueSlug(this.organization, this.title);
+    await this.save();
+  }
+  return this.slug;
+};
+
+PollSchema.pre('validate', async function() {
+  if (!this.slug && this.organization) {
+    this.slug = await this.constructor.generateUniqueSlug(this.organization, this.title);
+  }
+});
+
+PollSchema.pre('validate', function() {
+  const closedOn = this.status === 'draft' ? null : (this.closedAt || this.expireAt);
+  this.purgeAt = closedOn && this.retentionDays
+    ? new Date(closedOn.getTime() + this.retentionDays * 24 * 60 * 60 * 1000)
+    : null;
+});
+
+PollSchema.statics.QuestionSchema = QuestionSchema;
+PollSchema.statics.QUESTION_TYPES = QUESTION_TYPES;
+PollSchema.statics.SUBMISSION_POLICIES = SUBMISSION_POLICIES;
+PollSchema.statics.IDENTITY_MODES = IDENTITY_MODES;
+PollSchema.statics.RESULTS_VISIBILITIES = RESULTS_VISIBILITIES;
+PollSchema.statics.POLL_STATUSES = POLL_STATUSES;
+PollSchema.statics.RULE_OPERATORS = RULE_OPERATORS;
+PollSchema.statics.END_OF_POLL = END_OF_POLL;
 
 module.exports = mongoose.model('Poll', PollSchema);
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// Someone on a poll's guest list. Their personal link carries a token derived from
+// this document's id (see lib/pollInvitations.js), so no token is stored.
+const PollInviteeSchema = new mongoose.Schema({
+  poll: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Poll',
+    required: true
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  email: {
+    type: String,
+    required: [true, 'Please provide an email'],
+    lowercase: true,
+    trim: true
+  },
+  // First invitation email, last invitation or reminder email, and reminders sent so far
+  invitedAt: {
+    type: Date,
+    default: null
+  },
+  lastSentAt: {
+    type: Date,
+    default: null
+  },
+  reminderCount: {
+    type: Number,
+    default: 0
+  },
+  responded: {
+    type: Boolean,
+    default: false
+  },
+  // When they answered. Never set on anonymous polls: it would match the submission's
+  // submittedAt and give away who gave which answers.
+  respondedAt: {
+    type: Date,
+    default: null
+  },
+  // Email waiting to be sent in the background: 'invitation' or 'reminder'
+  queuedEmail: {
+    type: String,
+    enum: ['invitation', 'reminder', null],
+    default: null
+  },
+  // Not set on anonymous polls, where answers are never linked to a person
+  submission: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Submission',
+    default: null
+  },
+  // Copied from the poll so the guest list is deleted together with its responses
+  purgeAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+PollInviteeSchema.index({ poll: 1, email: 1 }, { unique: true });
+// Reminder job: pending invitees of open polls whose last email is old enough
+PollInviteeSchema.index({ poll: 1, responded: 1, lastSentAt: 1 });
+PollInviteeSchema.index({ queuedEmail: 1, createdAt: 1 });
+PollInviteeSchema.index({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('PollInvitee', PollInviteeSchema);
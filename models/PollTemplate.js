@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const Poll = require('./Poll');
+
+// A reusable poll definition saved by a user. Built-in starter templates live in lib/pollTemplates.js.
+const PollTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a template name'],
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  // The user who saved the template; only they see it
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  // Poll content copied into new polls
+  poll: {
+    title: {
+      type: String,
+      required: [true, 'Please add a poll title']
+    },
+    description: {
+      type: String,
+      default: ''
+    },
+    questions: [Poll.QuestionSchema],
+    isQuiz: {
+      type: Boolean,
+      default: false
+    },
+    consentEnabled: {
+      type: Boolean,
+      default: false
+    },
+    consentText: {
+      type: String,
+      default: null
+    },
+    submissionPolicy: {
+      type: String,
+      enum: Poll.SUBMISSION_POLICIES,
+      default: 'unlimited'
+    },
+    identityMode: {
+      type: String,
+      enum: Poll.IDENTITY_MODES,
+      default: 'identified'
+    }
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+PollTemplateSchema.index({ organization: 1, user: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('PollTemplate', PollTemplateSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Daily visit and submission counters for a poll, per UTM source/medium/campaign.
+// Empty strings stand for "not tagged" (e.g. someone typing the link).
+const PollTrafficSchema = new mongoose.Schema({
+  poll: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Poll',
+    required: true
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  // Start of the day (UTC)
+  day: {
+    type: Date,
+    required: true
+  },
+  source: {
+    type: String,
+    default: ''
+  },
+  medium: {
+    type: String,
+    default: ''
+  },
+  campaign: {
+    type: String,
+    default: ''
+  },
+  visits: {
+    type: Number,
+    default: 0
+  },
+  submissions: {
+    type: Number,
+    default: 0
+  },
+  // Copied from the poll so the counters are deleted together with its responses
+  purgeAt: {
+    type: Date,
+    default: null
+  }
+});
+
+PollTrafficSchema.index({ poll: 1, day: 1, source: 1, medium: 1, campaign: 1 }, { unique: true });
+PollTrafficSchema.index({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('PollTraffic', PollTrafficSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// One document per signed-in device. The refresh token rotates on every use;
+// access tokens carry the session id so revoking the session invalidates them.
+const SessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 hash of the current refresh token
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // Hash of the token it replaced - presenting it again means the token was stolen
+  previousRefreshTokenHash: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  // Last time this session passed a 2FA check (login or step-up for destructive actions)
+  twoFactorVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  expireAt: {
+    type: Date,
+    required: true
+  }
+});
+
+SessionSchema.index({ refreshTokenHash: 1 });
+SessionSchema.index({ previousRefreshTokenHash: 1 });
+SessionSchema.index({ user: 1, revokedAt: 1 });
+
+// MongoDB deletes each session once its refresh token has expired
+SessionSchema.index({ expireAt: 1 }, { expireAfterSeconds: 0 });
+
+SessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expireAt > new Date();
+};
+
+module.exports = mongoose.model('Session', SessionSchema);
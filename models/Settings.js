@@ -1,6 +1,14 @@
 const mongoose = require('mongoose');
 
 const SettingsSchema = new mongoose.Schema({
+  // One settings document per business
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    unique: true
+  },
+
   // Business Information
   businessName: {
     type: String,
@@ -148,9 +156,9 @@ const SettingsSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Get site settings without auto-creation
-SettingsSchema.statics.getSiteSettings = async function() {
-  let settings = await this.findOne();
+// Get a business's site settings without auto-creation
+SettingsSchema.statics.getSiteSettings = async function(organizationId) {
+  let settings = await this.findOne({ organization: organizationId });
   // Return null if no settings exist (don't auto-create)
   // Settings will be created during admin setup
   return settings;
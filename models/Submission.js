@@ -6,13 +6,20 @@ const SubmissionSchema = new mongoose.Schema({
     ref: 'Poll',
     required: true
   },
+  // Copied from the poll so submissions can be scoped without a join
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  // Participant details are empty on anonymous polls (see Poll.identityMode)
   participantName: {
     type: String,
-    required: [true, 'Please provide your name']
+    default: ''
   },
   participantEmail: {
     type: String,
-    required: [true, 'Please provide your email']
+    default: ''
   },
   participantPhone: {
     type: String,
@@ -24,12 +31,50 @@ const SubmissionSchema = new mongoose.Schema({
         type: String,
         required: true
       },
+      // String for text/choice questions, Number for rating/nps/number,
+      // array of strings for checkbox questions
       answer: {
-        type: String,
+        type: mongoose.Schema.Types.Mixed,
         required: true
       }
     }
   ],
+  // Identifies the participant under the poll's submission policy:
+  // "email:<address>" or "device:<token hash>". Unset for unlimited polls.
+  dedupeKey: {
+    type: String,
+    default: undefined
+  },
+  // Guest list entry whose personal link was used (never set on anonymous polls)
+  invitee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PollInvitee',
+    default: null
+  },
+  // UTM tags of the link the participant came from
+  tracking: {
+    source: {
+      type: String,
+      default: ''
+    },
+    medium: {
+      type: String,
+      default: ''
+    },
+    campaign: {
+      type: String,
+      default: ''
+    }
+  },
+  // Quiz polls only: points earned and points available
+  score: {
+    type: Number,
+    default: null
+  },
+  maxScore: {
+    type: Number,
+    default: null
+  },
   consentAgreed: {
     type: Boolean,
     default: false
@@ -38,14 +83,33 @@ const SubmissionSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
-  expireAt: {
+  // Last time the participant changed their answers (edit link or the same device).
+  // submittedAt stays the time of the first submission.
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  // Last time the edit link was emailed after a repeated answer with the same address
+  editLinkSentAt: {
+    type: Date,
+    default: null
+  },
+  // Copied from the poll so responses are deleted together with it at the end of its retention period
+  purgeAt: {
     type: Date,
-    required: [true, 'Please add an expiry date']
+    default: null
   }
 });
 
-// CRITICAL: TTL Index for automatic deletion
-// This ensures all submissions are deleted at the exact same time as their parent poll
-SubmissionSchema.index({ expireAt: 1 }, { expireAfterSeconds: 0 });
+// Quiz leaderboard: a poll's scored submissions, best score first
+SubmissionSchema.index({ poll: 1, score: -1, submittedAt: 1 });
+
+SubmissionSchema.index({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+
+// Enforces the submission policy: one submission per participant key and poll
+SubmissionSchema.index(
+  { poll: 1, dedupeKey: 1 },
+  { unique: true, partialFilterExpression: { dedupeKey: { $type: 'string' } } }
+);
 
 module.exports = mongoose.model('Submission', SubmissionSchema);
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// A form token (see lib/formProtection.js) that has already been used for a submission
+// or booking. Kept until the token itself expires, so a solved form can't be replayed.
+const UsedFormTokenSchema = new mongoose.Schema({
+  challenge: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+UsedFormTokenSchema.index({ challenge: 1 }, { unique: true });
+UsedFormTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('UsedFormToken', UsedFormTokenSchema);
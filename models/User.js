@@ -14,7 +14,8 @@ const UserSchema = new mongoose.Schema({
   },
   password: {
     type: String,
-    required: [true, 'Please add a password']
+    // Invited users choose their password when they accept the invitation
+    required: [function() { return this.status !== 'invited'; }, 'Please add a password']
   },
   businessName: {
     type: String,
@@ -30,6 +31,93 @@ const UserSchema = new mongoose.Schema({
     enum: ['admin', 'manager', 'staff'],
     default: 'admin'
   },
+  // Account lifecycle: invited (pending acceptance), active, or deactivated by an admin
+  status: {
+    type: String,
+    enum: ['invited', 'active', 'deactivated'],
+    default: 'active'
+  },
+  // The business this user works for
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // SHA-256 hash of the invitation token (the raw token is only sent to the invitee)
+  inviteTokenHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+  inviteExpires: {
+    type: Date,
+    default: null
+  },
+  // Password reset (single-use, time-limited; only the token hash is stored)
+  passwordResetTokenHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    default: null,
+    select: false
+  },
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+  // Email change waiting for confirmation from the new address
+  pendingEmail: {
+    type: String,
+    default: null,
+    lowercase: true,
+    trim: true
+  },
+  emailChangeTokenHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+  emailChangeExpires: {
+    type: Date,
+    default: null,
+    select: false
+  },
+  // Two-factor authentication (TOTP)
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    default: null,
+    select: false
+  },
+  // Secret generated during enrollment, promoted to twoFactorSecret once a code is verified
+  twoFactorPendingSecret: {
+    type: String,
+    default: null,
+    select: false
+  },
+  // SHA-256 hashes of the unused one-time recovery codes
+  twoFactorRecoveryCodes: {
+    type: [String],
+    default: [],
+    select: false
+  },
+  // Last accepted TOTP time step, so a code can't be replayed
+  twoFactorLastStep: {
+    type: Number,
+    default: null,
+    select: false
+  },
   isSetupComplete: {
     type: Boolean,
     default: false
@@ -0,0 +1,148 @@
+const express = require('express');
+const ApiKey = require('../models/ApiKey');
+const { protect, authorize, requireSession } = require('../middleware/auth');
+const { API_KEY_SCOPES, hasPermission } = require('../lib/permissions');
+const { generateToken, hashToken } = require('../lib/tokens');
+const { recordAudit } = require('../lib/audit');
+
+const router = express.Router();
+
+const MAX_KEYS_PER_USER = 25;
+
+const formatKey = (apiKey) => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  lastUsedAt: apiKey.lastUsedAt,
+  lastUsedIp: apiKey.lastUsedIp,
+  expiresAt: apiKey.expiresAt,
+  revokedAt: apiKey.revokedAt,
+  active: apiKey.isActive(),
+  createdAt: apiKey.createdAt
+});
+
+// Apply protect middleware to all routes (human sessions only)
+router.use(protect, requireSession, authorize('apikeys:manage'));
+
+// @route   GET /api/auth/api-keys/scopes
+// @desc    List the scopes that can be granted to a key
+// @access  Protected (Admin only)
+router.get('/scopes', (req, res) => {
+  res.json({
+    success: true,
+    scopes: API_KEY_SCOPES
+  });
+});
+
+// @route   GET /api/auth/api-keys
+// @desc    List the logged-in user's API keys
+// @access  Protected (Admin only)
+router.get('/', async (req, res) => {
+  try {
+    const keys = await ApiKey.find({ user: req.user._id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      keys: keys.map(formatKey)
+    });
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({ message: 'Server error fetching API keys' });
+  }
+});
+
+// @route   POST /api/auth/api-keys
+// @desc    Create an API key. The key is only returned in this response.
+// @access  Protected (Admin only)
+router.post('/', async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({ message: 'Please provide a name and at least one scope' });
+    }
+
+    const invalid = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+    if (invalid.length > 0) {
+      return res.status(400).json({ message: `Invalid scopes: ${invalid.join(', ')}` });
+    }
+
+    // A key can't do more than the user creating it
+    const notAllowed = scopes.filter(scope => !hasPermission(req.user.role, scope));
+    if (notAllowed.length > 0) {
+      return res.status(403).json({ message: `Your role cannot grant: ${notAllowed.join(', ')}` });
+    }
+
+    const activeCount = await ApiKey.countDocuments({ user: req.user._id, revokedAt: null });
+    if (activeCount >= MAX_KEYS_PER_USER) {
+      return res.status(400).json({ message: `You can have at most ${MAX_KEYS_PER_USER} active API keys` });
+    }
+
+    const days = parseInt(expiresInDays);
+    const key = `ep_${generateToken(24)}`;
+
+    const apiKey = await ApiKey.create({
+      name: String(name).trim().substring(0, 100),
+      user: req.user._id,
+      prefix: key.substring(0, 11),
+      keyHash: hashToken(key),
+      scopes: [...new Set(scopes)],
+      expiresAt: days > 0 ? new Date(Date.now() + days * 24 * 60 * 60 * 1000) : null
+    });
+
+    await recordAudit(req, {
+      action: 'apiKey.create',
+      entityType: 'apiKey',
+      entityId: apiKey._id,
+      after: { name: apiKey.name, prefix: apiKey.prefix, scopes: apiKey.scopes, expiresAt: apiKey.expiresAt }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now - it will not be shown again.',
+      key,
+      apiKey: formatKey(apiKey)
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({ message: 'Server error creating API key' });
+  }
+});
+
+// @route   DELETE /api/auth/api-keys/:id
+// @desc    Revoke an API key
+// @access  Protected (Admin only)
+router.delete('/:id', async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!apiKey) {
+      return res.status(404).json({ message: 'API key not found' });
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+
+      await recordAudit(req, {
+        action: 'apiKey.revoke',
+        entityType: 'apiKey',
+        entityId: apiKey._id,
+        before: { name: apiKey.name, prefix: apiKey.prefix, revokedAt: null },
+        after: { name: apiKey.name, prefix: apiKey.prefix, revokedAt: apiKey.revokedAt }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'API key revoked',
+      apiKey: formatKey(apiKey)
+    });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({ message: 'Server error revoking API key' });
+  }
+});
+
+module.exports = router;
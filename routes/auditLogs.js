@@ -0,0 +1,92 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Apply protect middleware to all routes (admin only)
+router.use(protect, authorize('audit:read'));
+
+// @route   GET /api/audit-logs
+// @desc    Browse the audit log (filters: actor, action, entityType, entityId, from, to; paginated)
+// @access  Protected (Admin only)
+router.get('/', async (req, res) => {
+  try {
+    const { actor, action, entityType, entityId, from, to } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const filter = { organization: req.organizationId };
+
+    if (actor) {
+      if (!mongoose.isValidObjectId(actor)) {
+        return res.status(400).json({ message: 'Invalid actor id' });
+      }
+      filter.actor = actor;
+    }
+    if (entityId) {
+      if (!mongoose.isValidObjectId(entityId)) {
+        return res.status(400).json({ message: 'Invalid entity id' });
+      }
+      filter.entityId = entityId;
+    }
+    if (action) {
+      // "booking" matches every booking action, "booking.cancel" only cancellations
+      filter.action = String(action).includes('.') ? String(action) : new RegExp(`^${String(action).replace(/[^\w]/g, '')}\\.`);
+    }
+    if (entityType) {
+      filter.entityType = String(entityType);
+    }
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({ message: 'Server error fetching audit log' });
+  }
+});
+
+// @route   GET /api/audit-logs/:id
+// @desc    Get a single audit entry
+// @access  Protected (Admin only)
+router.get('/:id', async (req, res) => {
+  try {
+    const entry = await AuditLog.findOne({ _id: req.params.id, organization: req.organizationId });
+
+    if (!entry) {
+      return res.status(404).json({ message: 'Audit entry not found' });
+    }
+
+    res.json({
+      success: true,
+      entry
+    });
+  } catch (error) {
+    console.error('Get audit entry error:', error);
+    res.status(500).json({ message: 'Server error fetching audit entry' });
+  }
+});
+
+module.exports = router;
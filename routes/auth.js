@@ -1,35 +1,61 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const Settings = require('../models/Settings');
+const Organization = require('../models/Organization');
+const { protect, authorize, requireSession, requireFreshTwoFactor } = require('../middleware/auth');
+const { optionalTenant } = require('../middleware/tenant');
+const { generateToken, hashToken } = require('../lib/tokens');
+const { clientUrl } = require('../lib/urls');
+const { sendMail } = require('../lib/mailer');
+const { signAccessToken, createSession, rotateSession, revokeSession, revokeAllSessions } = require('../lib/sessions');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const { signChallengeToken } = require('../lib/twoFactor');
+const { recordAudit } = require('../lib/audit');
+const { recountCapacity } = require('../lib/pollQuotas');
+const { getLockStatus, recordAttempt, recordFailedLogin, recordSuccessfulLogin, clearFailures } = require('../lib/loginSecurity');
 
 const router = express.Router();
 
+// The first business can always be created; more only when ALLOW_BUSINESS_SIGNUP=true
+const isBusinessSignupOpen = (organizationCount) =>
+  organizationCount === 0 || process.env.ALLOW_BUSINESS_SIGNUP === 'true';
+
 // @route   GET /api/auth/check-setup
 // @desc    Check if initial setup is complete
 // @access  Public
-router.get('/check-setup', async (req, res) => {
+router.get('/check-setup', optionalTenant, async (req, res) => {
   try {
-    const userCount = await User.countDocuments();
-    res.json({ isSetupComplete: userCount > 0 });
+    const organizationCount = await Organization.countDocuments();
+    res.json({
+      isSetupComplete: organizationCount > 0,
+      canCreateBusiness: isBusinessSignupOpen(organizationCount),
+      tenant: req.organization ? { name: req.organization.name, slug: req.organization.slug } : null
+    });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
 // @route   POST /api/auth/setup
-// @desc    Initial setup - Create first admin account
-// @access  Public (only works if no users exist)
+// @desc    Create a business (tenant) and its first admin account
+// @access  Public (first business, or any time when ALLOW_BUSINESS_SIGNUP=true)
 router.post('/setup', async (req, res) => {
+  // Documents created so far, removed again if setup fails half-way. Otherwise a lone
+  // organization would count as a completed setup and lock the install.
+  let organization = null;
+  let user = null;
+  let settingsCreated = false;
+
   try {
-    // Check if setup is already complete
-    const userCount = await User.countDocuments();
-    if (userCount > 0) {
+    // Check if new businesses may be created
+    const organizationCount = await Organization.countDocuments();
+    if (!isBusinessSignupOpen(organizationCount)) {
       return res.status(400).json({ message: 'Setup already completed. Please login.' });
     }
 
-    const { businessName, businessType, name, email, password } = req.body;
+    const { businessName, businessType, name, email, password, slug } = req.body;
 
     // Validation
     if (!businessName || !name || !email || !password) {
@@ -40,60 +66,93 @@ router.post('/setup', async (req, res) => {
       return res.status(400).json({ message: 'Password must be at least 6 characters' });
     }
 
+    const normalizedEmail = email.toLowerCase().trim();
+    if (await User.exists({ email: normalizedEmail })) {
+      return res.status(400).json({ message: 'An account with this email already exists' });
+    }
+
+    // Use the requested slug if it is valid and free, otherwise derive one from the name
+    let organizationSlug;
+    if (slug) {
+      organizationSlug = Organization.slugify(slug);
+      if (organizationSlug !== String(slug).toLowerCase() || Organization.RESERVED_SLUGS.includes(organizationSlug)) {
+        return res.status(400).json({ message: 'Slug may only contain lowercase letters, numbers and dashes' });
+      }
+      if (await Organization.exists({ slug: organizationSlug })) {
+        return res.status(400).json({ message: 'This slug is already taken' });
+      }
+    } else {
+      organizationSlug = await Organization.generateUniqueSlug(businessName);
+    }
+
+    organization = await Organization.create({
+      name: businessName,
+      slug: organizationSlug
+    });
+
     // Hash password
     const salt = await bcrypt.genSalt(10);
     const hashedPassword = await bcrypt.hash(password, salt);
 
     // Create admin user with business info
-    const user = await User.create({
+    user = await User.create({
       name,
-      email: email.toLowerCase().trim(),
+      email: normalizedEmail,
       password: hashedPassword,
       businessName,
       businessType,
+      organization: organization._id,
       role: 'admin',
       isSetupComplete: true
     });
 
-    // Initialize site settings with business info
-    let settings = await Settings.findOne();
-    if (!settings) {
-      settings = await Settings.create({
-        businessName,
-        businessType,
-        metaTitle: businessName,
-        businessDescription: `${businessName} - Event Management & Booking System`,
-        isInitialized: true
-      });
-    } else if (!settings.isInitialized) {
-      settings.businessName = businessName;
-      settings.businessType = businessType;
-      settings.metaTitle = businessName;
-      settings.businessDescription = `${businessName} - Event Management & Booking System`;
-      settings.isInitialized = true;
-      await settings.save();
-    }
-
-    // Generate token
-    const token = jwt.sign(
-      { id: user._id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    organization.owner = user._id;
+    await organization.save();
+
+    // Initialize the business's site settings
+    await Settings.create({
+      organization: organization._id,
+      businessName,
+      businessType,
+      metaTitle: businessName,
+      businessDescription: `${businessName} - Event Management & Booking System`,
+      isInitialized: true
+    });
+    settingsCreated = true;
+
+    // Start a session (short-lived access token + rotating refresh token)
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(201).json({
       message: 'Setup completed successfully',
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
         businessName: user.businessName,
         businessType: user.businessType
+      },
+      organization: {
+        id: organization._id,
+        name: organization.name,
+        slug: organization.slug
       }
     });
   } catch (error) {
     console.error('Setup error:', error);
+    if (organization && !settingsCreated) {
+      try {
+        await Promise.all([
+          Organization.deleteOne({ _id: organization._id }),
+          user ? User.deleteOne({ _id: user._id }) : null,
+          Settings.deleteOne({ organization: organization._id })
+        ]);
+      } catch (cleanupError) {
+        console.error('Setup rollback error:', cleanupError);
+      }
+    }
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
@@ -141,30 +200,62 @@ router.post('/login', async (req, res) => {
       return res.status(400).json({ message: 'Please provide email and password' });
     }
 
+    // Refuse early while the account or IP is locked out
+    const lock = await getLockStatus(email, req.ip);
+    if (lock.locked) {
+      await recordAttempt({ req, email, success: false, reason: 'locked' });
+      res.set('Retry-After', String(lock.retryAfter));
+      return res.status(429).json({
+        message: 'Too many failed login attempts. Please try again later or reset your password.',
+        retryAfter: lock.retryAfter
+      });
+    }
+
     // Find user by email
     const user = await User.findOne({ email });
-    if (!user) {
+    // Invited users have no password until they accept their invitation
+    if (!user || !user.password) {
+      await recordFailedLogin({ req, email, reason: 'invalid_credentials' });
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
     // Check password
     const isMatch = await bcrypt.compare(password, user.password);
     if (!isMatch) {
+      await recordFailedLogin({ req, email, user, reason: 'invalid_credentials' });
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
-    // Generate JWT with expiry from env
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, {
-      expiresIn: process.env.JWT_EXPIRE || '7d'
-    });
+    if (user.status !== 'active') {
+      await recordAttempt({ req, email, user, success: false, reason: 'inactive' });
+      return res.status(403).json({ message: 'This account has been deactivated. Please contact your administrator.' });
+    }
+
+    // With 2FA enabled the password alone is not enough: hand back a challenge
+    // to be completed through POST /api/auth/2fa/verify
+    if (user.twoFactorEnabled) {
+      await recordAttempt({ req, email, user, success: false, reason: '2fa_required' });
+      return res.json({
+        message: 'Two-factor code required',
+        requiresTwoFactor: true,
+        challengeToken: signChallengeToken(user)
+      });
+    }
+
+    await recordSuccessfulLogin(user, req);
+
+    // Start a session (short-lived access token + rotating refresh token)
+    const { token, refreshToken } = await createSession(user, req);
 
     res.json({
       message: 'Login successful',
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
-        email: user.email
+        email: user.email,
+        role: user.role
       }
     });
   } catch (error) {
@@ -174,34 +265,269 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @access  Public (requires a valid refresh token)
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({ message: 'Please provide a refresh token' });
+    }
+
+    const rotated = await rotateSession(refreshToken, req);
+    if (!rotated) {
+      return res.status(401).json({ message: 'Refresh token is invalid, expired or revoked' });
+    }
+
+    const user = await User.findById(rotated.session.user);
+    if (!user || user.status !== 'active') {
+      await revokeSession(rotated.session._id, rotated.session.user);
+      return res.status(401).json({ message: 'Not authorized, account is not active' });
+    }
+
+    res.json({
+      token: signAccessToken(user, rotated.session),
+      refreshToken: rotated.refreshToken
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Server error refreshing session' });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Sign out the current session
+// @access  Protected
+router.post('/logout', protect, requireSession, async (req, res) => {
+  try {
+    await revokeSession(req.sessionId, req.user._id);
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error during logout' });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Sign out every session of the logged-in user (optionally keeping this one)
+// @access  Protected
+router.post('/logout-all', protect, requireSession, async (req, res) => {
+  try {
+    const keepCurrent = req.body && req.body.keepCurrent === true;
+    const result = await revokeAllSessions(req.user._id, keepCurrent ? req.sessionId : null);
+
+    res.json({
+      message: 'Signed out of all sessions',
+      revoked: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ message: 'Server error signing out sessions' });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the logged-in user's active sessions
+// @access  Protected
+router.get('/sessions', protect, requireSession, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expireAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      sessions: sessions.map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expireAt: session.expireAt,
+        current: session._id.toString() === req.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Server error fetching sessions' });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one of the logged-in user's sessions
+// @access  Protected
+router.delete('/sessions/:id', protect, requireSession, async (req, res) => {
+  try {
+    const result = await revokeSession(req.params.id, req.user._id);
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Server error revoking session' });
+  }
+});
+
+const RESET_TOKEN_EXPIRE_MINUTES = parseInt(process.env.RESET_TOKEN_EXPIRE_MINUTES) || 60;
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a single-use password reset link
+// @access  Public
+router.post('/forgot-password', async (req, res) => {
+  // Same response whether or not the email exists, so accounts can't be enumerated
+  const genericResponse = { message: 'If an account exists for that email, a reset link has been sent.' };
+
+  try {
+    const { email } = validateAndSanitize({ email: req.body.email });
+
+    if (!email) {
+      return res.status(400).json({ message: 'Please provide your email' });
+    }
+
+    const user = await User.findOne({ email, status: 'active' });
+    if (!user) {
+      return res.json(genericResponse);
+    }
+
+    const token = generateToken();
+    user.passwordResetTokenHash = hashToken(token);
+    user.passwordResetExpires = new Date(Date.now() + RESET_TOKEN_EXPIRE_MINUTES * 60 * 1000);
+    await user.save();
+
+    // A delivery failure is only logged: any other response would tell that the account exists
+    const resetUrl = clientUrl(`/reset-password?token=${token}`);
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your password',
+        text: `Hi ${user.name},\n\nWe received a request to reset your password. Use the link below within ${RESET_TOKEN_EXPIRE_MINUTES} minutes:\n\n${resetUrl}\n\nIf you didn't request this, you can ignore this email.`
+      });
+    } catch (error) {
+      console.error('Password reset email error:', error);
+    }
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    const message = error.message || 'Server error';
+    res.status(error.message && error.message.includes('email') ? 400 : 500).json({ message });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using a reset token
+// @access  Public (requires a valid reset token)
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token } = req.body;
+    const { password } = validateAndSanitize({ password: req.body.password });
+
+    if (!token || !password) {
+      return res.status(400).json({ message: 'Please provide the reset token and a new password' });
+    }
+
+    const user = await User.findOne({
+      passwordResetTokenHash: hashToken(token),
+      passwordResetExpires: { $gt: new Date() },
+      status: 'active'
+    });
+
+    if (!user) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    user.password = await bcrypt.hash(password, salt);
+    user.passwordChangedAt = new Date();
+    // Single use: the token is cleared as soon as it is redeemed
+    user.passwordResetTokenHash = null;
+    user.passwordResetExpires = null;
+    await user.save();
+
+    // Whoever had the old password may still be signed in somewhere
+    await revokeAllSessions(user._id);
+    // Proving access to the mailbox also lifts any login lockout
+    await clearFailures(user.email);
+
+    res.json({ message: 'Password has been reset. Please log in with your new password.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    const message = error.message || 'Server error';
+    res.status(error.message && error.message.includes('Password') ? 400 : 500).json({ message });
+  }
+});
+
+// @route   PUT /api/auth/change-password
+// @desc    Change the logged-in user's password
+// @access  Protected
+router.put('/change-password', protect, requireSession, async (req, res) => {
+  try {
+    const { currentPassword } = req.body;
+    const { password: newPassword } = validateAndSanitize({ password: req.body.newPassword });
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ message: 'Please provide your current and new password' });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const isMatch = await bcrypt.compare(currentPassword, user.password);
+    if (!isMatch) {
+      return res.status(401).json({ message: 'Current password is incorrect' });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    user.password = await bcrypt.hash(newPassword, salt);
+    user.passwordChangedAt = new Date();
+    user.passwordResetTokenHash = null;
+    user.passwordResetExpires = null;
+    await user.save();
+
+    // Sign out every session and hand this device a fresh one
+    await revokeAllSessions(user._id);
+    const { token, refreshToken } = await createSession(user, req);
+
+    res.json({ message: 'Password changed successfully', token, refreshToken });
+  } catch (error) {
+    console.error('Change password error:', error);
+    const message = error.message || 'Server error';
+    res.status(error.message && error.message.includes('Password') ? 400 : 500).json({ message });
+  }
+});
+
 // Import required models for backup/restore
 const Poll = require('../models/Poll');
+const PollTemplate = require('../models/PollTemplate');
+const PollTraffic = require('../models/PollTraffic');
+const PollInvitee = require('../models/PollInvitee');
 const Submission = require('../models/Submission');
 const BookingVenue = require('../models/BookingVenue');
 const Booking = require('../models/Booking');
-const { protect } = require('../middleware/auth');
 
 // @route   POST /api/auth/export-backup
 // @desc    Export all user data as JSON backup
-// @access  Protected
-router.post('/export-backup', protect, async (req, res) => {
+// @access  Protected (Admin only)
+router.post('/export-backup', protect, authorize('backup:export'), async (req, res) => {
   try {
-    const userId = req.user.id;
-
-    // Fetch all user data
-    console.log('📦 Starting backup for user:', userId);
-    const user = await User.findById(userId).select('-password');
-    const settings = await Settings.findOne(); // Settings is global, not per user
-    const polls = await Poll.find({ user: userId });
-    const venues = await BookingVenue.find({ user: userId });
-    
-    // Get all bookings for user's venues
-    const venueIds = venues.map(v => v._id);
-    const bookings = await Booking.find({ venue: { $in: venueIds } });
-    
-    // Get all submissions for user's polls
-    const pollIds = polls.map(p => p._id);
-    const submissions = await Submission.find({ poll: { $in: pollIds } });
+    const organizationId = req.organizationId;
+
+    // Fetch all data of the user's business
+    console.log('📦 Starting backup for business:', organizationId);
+    const user = await User.findById(req.user.id).select('-password');
+    const settings = await Settings.findOne({ organization: organizationId });
+    const polls = await Poll.find({ organization: organizationId });
+    const venues = await BookingVenue.find({ organization: organizationId });
+    const bookings = await Booking.find({ organization: organizationId });
+    const submissions = await Submission.find({ organization: organizationId });
     
     console.log('📊 Backup data collected:');
     console.log('  ✅ Users: 1');
@@ -245,11 +571,12 @@ router.post('/export-backup', protect, async (req, res) => {
 
 // @route   POST /api/auth/import-backup
 // @desc    Import data from JSON backup
-// @access  Protected
-router.post('/import-backup', protect, async (req, res) => {
+// @access  Protected (Admin only)
+router.post('/import-backup', protect, authorize('backup:import'), requireFreshTwoFactor, async (req, res) => {
   try {
     const { backup, replaceExisting } = req.body;
     const userId = req.user.id;
+    const organizationId = req.organizationId;
 
     if (!backup || !backup.version) {
       return res.status(400).json({ message: 'Invalid backup file format' });
@@ -266,28 +593,24 @@ router.post('/import-backup', protect, async (req, res) => {
       submissions: 0
     };
 
-    // If replaceExisting, delete current data first
+    // If replaceExisting, delete the business's current data first
     if (replaceExisting) {
-      await Poll.deleteMany({ user: userId });
-      await BookingVenue.deleteMany({ user: userId });
-      // Bookings will be deleted via cascade or manually
-      const userVenues = await BookingVenue.find({ user: userId });
-      const venueIds = userVenues.map(v => v._id);
-      await Booking.deleteMany({ venue: { $in: venueIds } });
-      
-      const userPolls = await Poll.find({ user: userId });
-      const pollIds = userPolls.map(p => p._id);
-      await Submission.deleteMany({ poll: { $in: pollIds } });
+      await Submission.deleteMany({ organization: organizationId });
+      await Booking.deleteMany({ organization: organizationId });
+      await Poll.deleteMany({ organization: organizationId });
+      await PollTraffic.deleteMany({ organization: organizationId });
+      await PollInvitee.deleteMany({ organization: organizationId });
+      await BookingVenue.deleteMany({ organization: organizationId });
     }
 
-    // Import settings (global settings, not per user)
+    // Import settings into this business's settings document
     if (backup.settings) {
-      const settingsData = { ...backup.settings };
+      const settingsData = { ...backup.settings, organization: organizationId };
       delete settingsData._id; // Remove _id to avoid conflicts
       delete settingsData.__v; // Remove version key
       
       await Settings.findOneAndUpdate(
-        {}, // Find the single settings document
+        { organization: organizationId },
         settingsData,
         { upsert: true, new: true }
       );
@@ -300,18 +623,24 @@ router.post('/import-backup', protect, async (req, res) => {
       const pollsToImport = backup.polls.map(poll => ({
         ...poll,
         _id: undefined, // Let MongoDB create new IDs
+        // Keep links working after a full restore; merged polls get a fresh slug
+        slug: replaceExisting ? poll.slug : undefined,
+        // Capacity counters are rebuilt from the imported submissions below
+        responseCount: 0,
+        optionQuotas: (poll.optionQuotas || []).map(quota => ({ ...quota, count: 0 })),
         user: userId,
+        organization: organizationId,
         createdAt: poll.createdAt || new Date()
       }));
       const importedPolls = await Poll.insertMany(pollsToImport);
       imported.polls = importedPolls.length;
       console.log('✅ Polls:', importedPolls.length);
 
-      // Map old poll IDs to new poll IDs for submissions
+      // Map old poll IDs to the imported polls for submissions
       const pollIdMap = {};
       backup.polls.forEach((oldPoll, index) => {
         if (oldPoll._id && importedPolls[index]) {
-          pollIdMap[oldPoll._id.toString()] = importedPolls[index]._id;
+          pollIdMap[oldPoll._id.toString()] = importedPolls[index];
         }
       });
 
@@ -322,12 +651,19 @@ router.post('/import-backup', protect, async (req, res) => {
           .map(sub => ({
             ...sub,
             _id: undefined,
-            poll: pollIdMap[sub.poll.toString()],
+            poll: pollIdMap[sub.poll.toString()]._id,
+            organization: organizationId,
+            purgeAt: pollIdMap[sub.poll.toString()].purgeAt,
+            invitee: null, // Guest lists aren't part of the backup
             submittedAt: sub.submittedAt || new Date()
           }));
         const importedSubs = await Submission.insertMany(submissionsToImport);
         imported.submissions = importedSubs.length;
         console.log('✅ Submissions:', importedSubs.length);
+
+        for (const poll of importedPolls) {
+          await recountCapacity(poll);
+        }
       }
     }
 
@@ -337,6 +673,7 @@ router.post('/import-backup', protect, async (req, res) => {
         ...venue,
         _id: undefined,
         user: userId,
+        organization: organizationId,
         createdAt: venue.createdAt || new Date()
       }));
       const importedVenues = await BookingVenue.insertMany(venuesToImport);
@@ -359,6 +696,7 @@ router.post('/import-backup', protect, async (req, res) => {
             ...booking,
             _id: undefined,
             venue: venueIdMap[booking.venue.toString()],
+            organization: organizationId,
             createdAt: booking.createdAt || new Date()
           }));
         const importedBookings = await Booking.insertMany(bookingsToImport);
@@ -374,6 +712,12 @@ router.post('/import-backup', protect, async (req, res) => {
     console.log('🎉 Import completed successfully!');
     console.log('📊 Summary:', imported);
 
+    await recordAudit(req, {
+      action: 'backup.import',
+      entityType: 'backup',
+      metadata: { replaceExisting: Boolean(replaceExisting), backupVersion: backup.version, imported }
+    });
+
     res.json({
       success: true,
       message: 'Backup imported successfully',
@@ -386,9 +730,9 @@ router.post('/import-backup', protect, async (req, res) => {
 });
 
 // @route   POST /api/auth/delete-account
-// @desc    Delete admin account and all associated data
-// @access  Protected
-router.post('/delete-account', protect, async (req, res) => {
+// @desc    Delete the business, its admin account and all associated data
+// @access  Protected (Admin only)
+router.post('/delete-account', protect, authorize('account:delete'), requireFreshTwoFactor, async (req, res) => {
   try {
     const { confirmPassword, confirmText } = req.body;
     const userId = req.user.id;
@@ -399,6 +743,11 @@ router.post('/delete-account', protect, async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    // Deleting the business is reserved for its owner, not invited admins
+    if (!req.organization.owner || !req.organization.owner.equals(user._id)) {
+      return res.status(403).json({ message: 'Only the account owner can delete the account' });
+    }
+
     // Verify password
     const isMatch = await bcrypt.compare(confirmPassword, user.password);
     if (!isMatch) {
@@ -410,35 +759,57 @@ router.post('/delete-account', protect, async (req, res) => {
       return res.status(400).json({ message: 'Please type "DELETE MY ACCOUNT" to confirm' });
     }
 
-    console.log('🗑️ Starting COMPLETE DATABASE RESET for admin:', userId);
-    console.log('⚠️ This will delete ALL data from ALL collections!');
+    const organizationId = req.organizationId;
+    console.log('🗑️ Starting business deletion for admin:', userId, 'business:', organizationId);
+    console.log('⚠️ This will delete ALL data of this business! Other businesses are not touched.');
+
+    const members = await User.find({ organization: organizationId }).select('_id');
+    const memberIds = members.map(member => member._id);
+
+    // Recorded first and deliberately kept: the audit trail outlives the business's data
+    await recordAudit(req, {
+      action: 'account.delete',
+      entityType: 'account',
+      entityId: organizationId,
+      before: { name: req.organization.name, slug: req.organization.slug, members: memberIds.length }
+    });
 
-    // Delete ALL data from ALL collections (complete database reset)
-    // 1. Delete ALL submissions
-    const deletedSubmissions = await Submission.deleteMany({});
-    console.log('✅ Deleted', deletedSubmissions.deletedCount, 'submissions (ALL)');
+    // 1. Delete the business's submissions
+    const deletedSubmissions = await Submission.deleteMany({ organization: organizationId });
+    console.log('✅ Deleted', deletedSubmissions.deletedCount, 'submissions');
     
-    // 2. Delete ALL bookings
-    const deletedBookings = await Booking.deleteMany({});
-    console.log('✅ Deleted', deletedBookings.deletedCount, 'bookings (ALL)');
+    // 2. Delete the business's bookings
+    const deletedBookings = await Booking.deleteMany({ organization: organizationId });
+    console.log('✅ Deleted', deletedBookings.deletedCount, 'bookings');
     
-    // 3. Delete ALL polls
-    const deletedPolls = await Poll.deleteMany({});
-    console.log('✅ Deleted', deletedPolls.deletedCount, 'polls (ALL)');
+    // 3. Delete the business's polls
+    const deletedPolls = await Poll.deleteMany({ organization: organizationId });
+    console.log('✅ Deleted', deletedPolls.deletedCount, 'polls');
+    await PollTraffic.deleteMany({ organization: organizationId });
+    await PollInvitee.deleteMany({ organization: organizationId });
+    const deletedTemplates = await PollTemplate.deleteMany({ organization: organizationId });
+    console.log('✅ Deleted', deletedTemplates.deletedCount, 'poll templates');
     
-    // 4. Delete ALL booking venues
-    const deletedVenues = await BookingVenue.deleteMany({});
-    console.log('✅ Deleted', deletedVenues.deletedCount, 'booking venues (ALL)');
+    // 4. Delete the business's booking venues
+    const deletedVenues = await BookingVenue.deleteMany({ organization: organizationId });
+    console.log('✅ Deleted', deletedVenues.deletedCount, 'booking venues');
     
-    // 5. Delete ALL settings
-    const deletedSettings = await Settings.deleteMany({});
-    console.log('✅ Deleted', deletedSettings.deletedCount, 'settings (ALL)');
+    // 5. Delete the business's settings
+    const deletedSettings = await Settings.deleteMany({ organization: organizationId });
+    console.log('✅ Deleted', deletedSettings.deletedCount, 'settings');
+
+    // 6. Delete the members' sessions and API keys
+    const deletedSessions = await Session.deleteMany({ user: { $in: memberIds } });
+    console.log('✅ Deleted', deletedSessions.deletedCount, 'sessions');
+    const deletedApiKeys = await ApiKey.deleteMany({ user: { $in: memberIds } });
+    console.log('✅ Deleted', deletedApiKeys.deletedCount, 'API keys');
     
-    // 6. Delete ALL users
-    const deletedUsers = await User.deleteMany({});
-    console.log('✅ Deleted', deletedUsers.deletedCount, 'users (ALL)');
+    // 7. Delete the business's users and the business itself
+    const deletedUsers = await User.deleteMany({ organization: organizationId });
+    console.log('✅ Deleted', deletedUsers.deletedCount, 'users');
+    await Organization.deleteOne({ _id: organizationId });
     
-    console.log('🎉 Complete database reset finished! All collections cleared.');
+    console.log('🎉 Business deleted.');
 
     res.json({
       success: true,
@@ -5,7 +5,9 @@ const express = require('express');
 const QRCode = require('qrcode');
 const BookingVenue = require('../models/BookingVenue');
 const Booking = require('../models/Booking');
-const { protect } = require('../middleware/auth');
+const { protect, authorize } = require('../middleware/auth');
+const { recordAudit, snapshot } = require('../lib/audit');
+const { readFormProtection } = require('../lib/formProtection');
 
 const router = express.Router();
 
@@ -15,15 +17,20 @@ router.use(protect);
 // @route   POST /api/booking-venues
 // @desc    Create a new booking venue
 // @access  Protected
-router.post('/', async (req, res) => {
+router.post('/', authorize('venues:write'), async (req, res) => {
   try {
-    const { name, description, venueType, tables, timeSlots, layoutImage } = req.body;
+    const { name, description, venueType, tables, timeSlots, layoutImage, formProtection } = req.body;
 
     // Validation
     if (!name || !venueType) {
       return res.status(400).json({ message: 'Please provide venue name and type' });
     }
 
+    const protection = formProtection !== undefined ? readFormProtection(formProtection) : null;
+    if (protection && protection.error) {
+      return res.status(400).json({ message: protection.error });
+    }
+
     // Create venue
     const venue = await BookingVenue.create({
       name,
@@ -32,9 +39,13 @@ router.post('/', async (req, res) => {
       tables: tables || [],
       timeSlots: timeSlots || [],
       layoutImage: layoutImage || null,
-      user: req.user.id
+      ...(protection && { formProtection: protection.formProtection }),
+      user: req.user._id,
+      organization: req.organizationId
     });
 
+    await recordAudit(req, { action: 'venue.create', entityType: 'venue', entityId: venue._id, after: venue });
+
     res.status(201).json({
       success: true,
       venue
@@ -48,9 +59,9 @@ router.post('/', async (req, res) => {
 // @route   GET /api/booking-venues
 // @desc    Get all venues for logged-in user
 // @access  Protected
-router.get('/', async (req, res) => {
+router.get('/', authorize('venues:read'), async (req, res) => {
   try {
-    const venues = await BookingVenue.find({ user: req.user.id }).sort({ createdAt: -1 });
+    const venues = await BookingVenue.find({ organization: req.organizationId }).sort({ createdAt: -1 });
     
     res.json({
       success: true,
@@ -65,19 +76,14 @@ router.get('/', async (req, res) => {
 // @route   GET /api/booking-venues/:id
 // @desc    Get single venue by ID
 // @access  Protected
-router.get('/:id', async (req, res) => {
+router.get('/:id', authorize('venues:read'), async (req, res) => {
   try {
-    const venue = await BookingVenue.findById(req.params.id);
+    const venue = await BookingVenue.findOne({ _id: req.params.id, organization: req.organizationId });
 
     if (!venue) {
       return res.status(404).json({ message: 'Venue not found' });
     }
 
-    // Check if user owns this venue
-    if (venue.user.toString() !== req.user.id) {
-      return res.status(403).json({ message: 'Not authorized to access this venue' });
-    }
-
     res.json({
       success: true,
       venue
@@ -91,20 +97,21 @@ router.get('/:id', async (req, res) => {
 // @route   PUT /api/booking-venues/:id
 // @desc    Update a venue
 // @access  Protected
-router.put('/:id', async (req, res) => {
+router.put('/:id', authorize('venues:write'), async (req, res) => {
   try {
-    const venue = await BookingVenue.findById(req.params.id);
+    const venue = await BookingVenue.findOne({ _id: req.params.id, organization: req.organizationId });
 
     if (!venue) {
       return res.status(404).json({ message: 'Venue not found' });
     }
 
-    // Check if user owns this venue
-    if (venue.user.toString() !== req.user.id) {
-      return res.status(403).json({ message: 'Not authorized to update this venue' });
-    }
+    const { name, description, venueType, tables, timeSlots, layoutImage, isActive, formProtection } = req.body;
+    const before = snapshot(venue);
 
-    const { name, description, venueType, tables, timeSlots, layoutImage, isActive } = req.body;
+    const protection = formProtection !== undefined ? readFormProtection(formProtection, venue.formProtection) : null;
+    if (protection && protection.error) {
+      return res.status(400).json({ message: protection.error });
+    }
 
     // Update venue
     venue.name = name || venue.name;
@@ -114,9 +121,14 @@ router.put('/:id', async (req, res) => {
     venue.timeSlots = timeSlots !== undefined ? timeSlots : venue.timeSlots;
     venue.layoutImage = layoutImage !== undefined ? layoutImage : venue.layoutImage;
     venue.isActive = isActive !== undefined ? isActive : venue.isActive;
+    if (protection) {
+      venue.formProtection = protection.formProtection;
+    }
 
     await venue.save();
 
+    await recordAudit(req, { action: 'venue.update', entityType: 'venue', entityId: venue._id, before, after: venue });
+
     res.json({
       success: true,
       venue
@@ -130,24 +142,27 @@ router.put('/:id', async (req, res) => {
 // @route   DELETE /api/booking-venues/:id
 // @desc    Delete a venue
 // @access  Protected
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authorize('venues:delete'), async (req, res) => {
   try {
-    const venue = await BookingVenue.findById(req.params.id);
+    const venue = await BookingVenue.findOne({ _id: req.params.id, organization: req.organizationId });
 
     if (!venue) {
       return res.status(404).json({ message: 'Venue not found' });
     }
 
-    // Check if user owns this venue
-    if (venue.user.toString() !== req.user.id) {
-      return res.status(403).json({ message: 'Not authorized to delete this venue' });
-    }
-
     // Delete all bookings associated with this venue
-    await Booking.deleteMany({ venue: venue._id });
+    const deletedBookings = await Booking.deleteMany({ venue: venue._id });
 
     await venue.deleteOne();
 
+    await recordAudit(req, {
+      action: 'venue.delete',
+      entityType: 'venue',
+      entityId: venue._id,
+      before: venue,
+      metadata: { deletedBookings: deletedBookings.deletedCount }
+    });
+
     res.json({
       success: true,
       message: 'Venue deleted successfully'
@@ -161,19 +176,14 @@ router.delete('/:id', async (req, res) => {
 // @route   GET /api/booking-venues/:id/bookings
 // @desc    Get all bookings for a venue
 // @access  Protected
-router.get('/:id/bookings', async (req, res) => {
+router.get('/:id/bookings', authorize('bookings:read'), async (req, res) => {
   try {
-    const venue = await BookingVenue.findById(req.params.id);
+    const venue = await BookingVenue.findOne({ _id: req.params.id, organization: req.organizationId });
 
     if (!venue) {
       return res.status(404).json({ message: 'Venue not found' });
     }
 
-    // Check if user owns this venue
-    if (venue.user.toString() !== req.user.id) {
-      return res.status(403).json({ message: 'Not authorized to access these bookings' });
-    }
-
     const bookings = await Booking.find({ venue: venue._id })
       .sort({ date: 1, 'timeSlot.startTime': 1 });
 
@@ -190,16 +200,17 @@ router.get('/:id/bookings', async (req, res) => {
 // @route   GET /api/booking-venues/:id/qrcode
 // @desc    Generate QR code for venue booking page
 // @access  Protected
-router.get('/:id/qrcode', async (req, res) => {
+router.get('/:id/qrcode', authorize('venues:read'), async (req, res) => {
   try {
-    const venue = await BookingVenue.findById(req.params.id);
+    const venue = await BookingVenue.findOne({ _id: req.params.id, organization: req.organizationId });
     
     if (!venue) {
       return res.status(404).json({ message: 'Venue not found' });
     }
 
     // Generate the booking URL
-    const bookingUrl = `${process.env.CLIENT_URL || 'http://localhost:5174'}/booking/${venue._id}`;
+    // The tenant slug lets the public booking page resolve the business without a subdomain
+    const bookingUrl = `${process.env.CLIENT_URL || 'http://localhost:5174'}/booking/${venue._id}?tenant=${req.organization.slug}`;
     
     // Generate QR code as data URL
     const qrCodeDataUrl = await QRCode.toDataURL(bookingUrl, {
@@ -4,17 +4,20 @@
 const express = require('express');
 const Booking = require('../models/Booking');
 const BookingVenue = require('../models/BookingVenue');
-const { protect } = require('../middleware/auth');
+const { protect, authorize } = require('../middleware/auth');
+const { resolveTenant } = require('../middleware/tenant');
+const { recordAudit, snapshot } = require('../lib/audit');
+const { issueFormChallenge, checkForm, releaseFormCheck } = require('../lib/formProtection');
 
 const router = express.Router();
 
 // @route   GET /api/bookings/venue/:venueId
 // @desc    Get all bookings for a specific venue
 // @access  Protected
-router.get('/venue/:venueId', protect, async (req, res) => {
+router.get('/venue/:venueId', protect, authorize('bookings:read'), async (req, res) => {
   try {
-    // First check if venue exists and belongs to user
-    const venue = await BookingVenue.findById(req.params.venueId);
+    // First check if venue exists and belongs to the user's business
+    const venue = await BookingVenue.findOne({ _id: req.params.venueId, organization: req.organizationId });
     
     if (!venue) {
       return res.status(404).json({ 
@@ -23,14 +26,6 @@ router.get('/venue/:venueId', protect, async (req, res) => {
       });
     }
 
-    // Check if user owns the venue
-    if (venue.user.toString() !== req.user.id) {
-      return res.status(403).json({ 
-        success: false,
-        message: 'Not authorized to view bookings for this venue' 
-      });
-    }
-
     // Get all bookings for this venue
     const bookings = await Booking.find({ venue: req.params.venueId })
       .populate('venue', 'name venueType')
@@ -55,14 +50,10 @@ router.use('/admin', protect);
 // @route   GET /api/bookings/admin/all
 // @desc    Get all bookings for admin user
 // @access  Protected
-router.get('/admin/all', async (req, res) => {
+router.get('/admin/all', authorize('bookings:read'), async (req, res) => {
   try {
-    // Get all venues for this user
-    const venues = await BookingVenue.find({ user: req.user.id });
-    const venueIds = venues.map(v => v._id);
-
-    // Get all bookings for these venues
-    const bookings = await Booking.find({ venue: { $in: venueIds } })
+    // Get all bookings of the user's business
+    const bookings = await Booking.find({ organization: req.organizationId })
       .populate('venue', 'name venueType')
       .sort({ createdAt: -1 });
 
@@ -79,19 +70,15 @@ router.get('/admin/all', async (req, res) => {
 // @route   PUT /api/bookings/admin/:id/confirm
 // @desc    Confirm a booking
 // @access  Protected
-router.put('/admin/:id/confirm', async (req, res) => {
+router.put('/admin/:id/confirm', authorize('bookings:update'), async (req, res) => {
   try {
-    const booking = await Booking.findById(req.params.id).populate('venue');
+    const booking = await Booking.findOne({ _id: req.params.id, organization: req.organizationId }).populate('venue');
 
     if (!booking) {
       return res.status(404).json({ message: 'Booking not found' });
     }
 
-    // Check if user owns the venue
-    if (booking.venue.user.toString() !== req.user.id) {
-      return res.status(403).json({ message: 'Not authorized to confirm this booking' });
-    }
-
+    const before = snapshot(booking);
     booking.status = 'confirmed';
     booking.confirmedAt = new Date();
     if (req.body.adminNotes) {
@@ -100,6 +87,8 @@ router.put('/admin/:id/confirm', async (req, res) => {
 
     await booking.save();
 
+    await recordAudit(req, { action: 'booking.confirm', entityType: 'booking', entityId: booking._id, before, after: booking });
+
     res.json({
       success: true,
       booking
@@ -113,19 +102,15 @@ router.put('/admin/:id/confirm', async (req, res) => {
 // @route   PUT /api/bookings/admin/:id/cancel
 // @desc    Cancel a booking
 // @access  Protected
-router.put('/admin/:id/cancel', async (req, res) => {
+router.put('/admin/:id/cancel', authorize('bookings:update'), async (req, res) => {
   try {
-    const booking = await Booking.findById(req.params.id).populate('venue');
+    const booking = await Booking.findOne({ _id: req.params.id, organization: req.organizationId }).populate('venue');
 
     if (!booking) {
       return res.status(404).json({ message: 'Booking not found' });
     }
 
-    // Check if user owns the venue
-    if (booking.venue.user.toString() !== req.user.id) {
-      return res.status(403).json({ message: 'Not authorized to cancel this booking' });
-    }
-
+    const before = snapshot(booking);
     booking.status = 'cancelled';
     if (req.body.adminNotes) {
       booking.adminNotes = req.body.adminNotes;
@@ -133,6 +118,8 @@ router.put('/admin/:id/cancel', async (req, res) => {
 
     await booking.save();
 
+    await recordAudit(req, { action: 'booking.cancel', entityType: 'booking', entityId: booking._id, before, after: booking });
+
     res.json({
       success: true,
       booking
@@ -146,21 +133,18 @@ router.put('/admin/:id/cancel', async (req, res) => {
 // @route   DELETE /api/bookings/admin/:id
 // @desc    Delete a booking
 // @access  Protected
-router.delete('/admin/:id', async (req, res) => {
+router.delete('/admin/:id', authorize('bookings:delete'), async (req, res) => {
   try {
-    const booking = await Booking.findById(req.params.id).populate('venue');
+    const booking = await Booking.findOne({ _id: req.params.id, organization: req.organizationId }).populate('venue');
 
     if (!booking) {
       return res.status(404).json({ message: 'Booking not found' });
     }
 
-    // Check if user owns the venue
-    if (booking.venue.user.toString() !== req.user.id) {
-      return res.status(403).json({ message: 'Not authorized to delete this booking' });
-    }
-
     await booking.deleteOne();
 
+    await recordAudit(req, { action: 'booking.delete', entityType: 'booking', entityId: booking._id, before: booking });
+
     res.json({
       success: true,
       message: 'Booking deleted successfully'
@@ -172,13 +156,15 @@ router.delete('/admin/:id', async (req, res) => {
 });
 
 // PUBLIC ROUTES (No authentication required)
+// The business is resolved from the subdomain, X-Tenant header or ?tenant= slug
+router.use('/public', resolveTenant);
 
 // @route   GET /api/bookings/public/venues
 // @desc    Get all active venues for public booking menu
 // @access  Public
 router.get('/public/venues', async (req, res) => {
   try {
-    const venues = await BookingVenue.find({ isActive: true })
+    const venues = await BookingVenue.find({ organization: req.organizationId, isActive: true })
       .select('name description venueType tables timeSlots')
       .sort({ createdAt: -1 });
 
@@ -203,7 +189,7 @@ router.get('/public/:venueId/availability', async (req, res) => {
       return res.status(400).json({ message: 'Please provide a date' });
     }
 
-    const venue = await BookingVenue.findById(req.params.venueId);
+    const venue = await BookingVenue.findOne({ _id: req.params.venueId, organization: req.organizationId });
 
     if (!venue || !venue.isActive) {
       return res.status(404).json({ message: 'Venue not found or inactive' });
@@ -230,7 +216,9 @@ router.get('/public/:venueId/availability', async (req, res) => {
         venueType: venue.venueType,
         tables: venue.tables,
         timeSlots: venue.timeSlots,
-        layoutImage: venue.layoutImage
+        layoutImage: venue.layoutImage,
+        // Honeypot field, form token, proof-of-work puzzle and captcha to send back with the booking
+        protection: issueFormChallenge(`venue:${venue._id}`, venue.formProtection)
       },
       bookings: bookings.map(b => ({
         tableNumber: b.tableNumber,
@@ -256,7 +244,7 @@ router.post('/public/:venueId/book', async (req, res) => {
       return res.status(400).json({ message: 'Please provide all required fields' });
     }
 
-    const venue = await BookingVenue.findById(req.params.venueId);
+    const venue = await BookingVenue.findOne({ _id: req.params.venueId, organization: req.organizationId });
 
     if (!venue || !venue.isActive) {
       return res.status(404).json({ message: 'Venue not found or inactive' });
@@ -270,6 +258,7 @@ router.post('/public/:venueId/book', async (req, res) => {
     endOfDay.setHours(23, 59, 59, 999);
 
     const existingBooking = await Booking.findOne({
+      organization: venue.organization,
       venue: venue._id,
       tableNumber,
       date: { $gte: startOfDay, $lte: endOfDay },
@@ -282,19 +271,33 @@ router.post('/public/:venueId/book', async (req, res) => {
       return res.status(400).json({ message: 'This table is already booked for the selected time slot' });
     }
 
-    // Create booking
-    const booking = await Booking.create({
-      venue: venue._id,
-      tableNumber,
-      date,
-      timeSlot,
-      guestName,
-      guestEmail,
-      guestPhone,
-      numberOfGuests: numberOfGuests || 1,
-      specialRequests: specialRequests || '',
-      status: 'pending'
-    });
+    // Spam and bot protection enabled on the venue
+    const formCheck = await checkForm(req, `venue:${venue._id}`, venue.formProtection);
+    if (formCheck.error) {
+      const { status, ...rejection } = formCheck.error;
+      return res.status(status).json(rejection);
+    }
+
+    // Create booking (the form token is given back if this fails)
+    let booking;
+    try {
+      booking = await Booking.create({
+        organization: venue.organization,
+        venue: venue._id,
+        tableNumber,
+        date,
+        timeSlot,
+        guestName,
+        guestEmail,
+        guestPhone,
+        numberOfGuests: numberOfGuests || 1,
+        specialRequests: specialRequests || '',
+        status: 'pending'
+      });
+    } catch (error) {
+      await releaseFormCheck(formCheck);
+      throw error;
+    }
 
     res.status(201).json({
       success: true,
@@ -0,0 +1,143 @@
+const express = require('express');
+const User = require('../models/User');
+const LoginAttempt = require('../models/LoginAttempt');
+const LoginThrottle = require('../models/LoginThrottle');
+const { protect, authorize } = require('../middleware/auth');
+const { clearFailures, unlockIp } = require('../lib/loginSecurity');
+
+const router = express.Router();
+
+// Apply protect middleware to all routes (admin only)
+router.use(protect, authorize('security:manage'));
+
+// Emails of everyone in the business
+const getMemberEmails = async (organizationId) => {
+  const members = await User.find({ organization: organizationId }).select('email');
+  return members.map(member => member.email);
+};
+
+// @route   GET /api/auth/login-activity
+// @desc    Browse login attempts (filters: email, success, suspicious, from, to; paginated)
+// @access  Protected (Admin only)
+router.get('/', async (req, res) => {
+  try {
+    const { email, success, suspicious, from, to } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    // Attempts against unknown emails belong to no business and are never listed
+    const filter = { organization: req.organizationId };
+
+    if (email) {
+      filter.email = String(email).trim().toLowerCase();
+    }
+    if (success !== undefined) {
+      filter.success = success === 'true';
+    }
+    if (suspicious !== undefined) {
+      filter.suspicious = suspicious === 'true';
+    }
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const [attempts, total] = await Promise.all([
+      LoginAttempt.find(filter)
+        .populate('user', 'name email role')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      LoginAttempt.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      attempts,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get login activity error:', error);
+    res.status(500).json({ message: 'Server error fetching login activity' });
+  }
+});
+
+// @route   GET /api/auth/login-activity/locks
+// @desc    List emails and IPs that are currently locked out
+// @access  Protected (Admin only)
+router.get('/locks', async (req, res) => {
+  try {
+    // Only the business's own members, and IPs that attempted to log in to them
+    const [emails, ips] = await Promise.all([
+      getMemberEmails(req.organizationId),
+      LoginAttempt.distinct('ip', { organization: req.organizationId })
+    ]);
+    const keys = [...emails.map(email => `email:${email}`), ...ips.map(ip => `ip:${ip}`)];
+
+    const locks = await LoginThrottle.find({ key: { $in: keys }, lockedUntil: { $gt: new Date() } })
+      .sort({ lockedUntil: -1 });
+
+    res.json({
+      success: true,
+      locks: locks.map(lock => {
+        const [type, ...rest] = lock.key.split(':');
+        return {
+          type,
+          value: rest.join(':'),
+          failures: lock.failures,
+          lastFailureAt: lock.lastFailureAt,
+          lockedUntil: lock.lockedUntil
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Get login locks error:', error);
+    res.status(500).json({ message: 'Server error fetching lockouts' });
+  }
+});
+
+// @route   POST /api/auth/login-activity/unlock
+// @desc    Lift a lockout for an email and/or an IP address
+// @access  Protected (Admin only)
+router.post('/unlock', async (req, res) => {
+  try {
+    const { email, ip } = req.body;
+
+    if (!email && !ip) {
+      return res.status(400).json({ message: 'Please provide an email or an IP address' });
+    }
+
+    if (email) {
+      const normalizedEmail = String(email).trim().toLowerCase();
+      const member = await User.exists({ email: normalizedEmail, organization: req.organizationId });
+      if (!member) {
+        return res.status(404).json({ message: 'No team member with this email' });
+      }
+      await clearFailures(normalizedEmail);
+    }
+    if (ip) {
+      const normalizedIp = String(ip).trim();
+      const seen = await LoginAttempt.exists({ ip: normalizedIp, organization: req.organizationId });
+      if (!seen) {
+        return res.status(404).json({ message: 'No login attempts from this IP address' });
+      }
+      await unlockIp(normalizedIp);
+    }
+
+    res.json({
+      success: true,
+      message: 'Lockout lifted'
+    });
+  } catch (error) {
+    console.error('Unlock login error:', error);
+    res.status(500).json({ message: 'Server error lifting lockout' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,226 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Poll = require('../models/Poll');
+const PollInvitee = require('../models/PollInvitee');
+const { protect, authorize } = require('../middleware/auth');
+const { recordAudit } = require('../lib/audit');
+const { MAX_INVITEES_PER_POLL, INVITABLE_STATUSES, parseInviteeList, formatInvitee, queueInvitations } = require('../lib/pollInvitations');
+
+// Mounted at /api/polls/:pollId/invitees
+const router = express.Router({ mergeParams: true });
+
+const findPoll = (req) => {
+  if (!mongoose.isValidObjectId(req.params.pollId)) {
+    return null;
+  }
+  return Poll.findOne({ _id: req.params.pollId, organization: req.organizationId });
+};
+
+const countInvitees = async (poll) => {
+  const [total, responded, invited, queued] = await Promise.all([
+    PollInvitee.countDocuments({ poll: poll._id }),
+    PollInvitee.countDocuments({ poll: poll._id, responded: true }),
+    PollInvitee.countDocuments({ poll: poll._id, invitedAt: { $ne: null } }),
+    PollInvitee.countDocuments({ poll: poll._id, queuedEmail: { $in: ['invitation', 'reminder'] } })
+  ]);
+  return { total, responded, pending: total - responded, invited, notInvited: total - invited, queued };
+};
+
+// Apply protect middleware to all routes
+router.use(protect);
+
+// @route   GET /api/polls/:pollId/invitees
+// @desc    Guest list with who has responded and who is still pending (?status=responded|pending)
+// @access  Protected
+router.get('/', authorize('results:read'), async (req, res) => {
+  try {
+    const poll = await findPoll(req);
+
+    if (!poll) {
+      return res.status(404).json({ message: 'Poll not found' });
+    }
+
+    const filter = { poll: poll._id };
+    if (req.query.status === 'responded') {
+      filter.responded = true;
+    } else if (req.query.status === 'pending') {
+      filter.responded = false;
+    } else if (req.query.status) {
+      return res.status(400).json({ message: 'Status must be responded or pending' });
+    }
+
+    const [invitees, summary] = await Promise.all([
+      PollInvitee.find(filter).sort({ name: 1, email: 1 }),
+      countInvitees(poll)
+    ]);
+
+    res.json({
+      summary,
+      invitees: invitees.map(formatInvitee)
+    });
+  } catch (error) {
+    console.error('Get invitees error:', error);
+    res.status(500).json({ message: 'Server error fetching invitees' });
+  }
+});
+
+// @route   POST /api/polls/:pollId/invitees
+// @desc    Import invitees from { invitees: [{ name, email }] } or { csv: 'name,email\n...' }.
+//          Known addresses are updated, not duplicated. Pass send: true to queue invitations for
+//          everyone not invited yet (202: the emails go out in the background).
+// @access  Protected
+router.post('/', authorize('polls:write'), async (req, res) => {
+  try {
+    const poll = await findPoll(req);
+
+    if (!poll) {
+      return res.status(404).json({ message: 'Poll not found' });
+    }
+
+    const { entries, errors } = parseInviteeList(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Some invitees are invalid', errors });
+    }
+    if (entries.length === 0) {
+      return res.status(400).json({ message: 'The guest list is empty' });
+    }
+
+    const existing = await PollInvitee.find({ poll: poll._id, email: { $in: entries.map(entry => entry.email) } }).select('email');
+    const known = new Set(existing.map(invitee => invitee.email));
+    const total = await PollInvitee.countDocuments({ poll: poll._id });
+    if (total + entries.filter(entry => !known.has(entry.email)).length > MAX_INVITEES_PER_POLL) {
+      return res.status(400).json({ message: `A poll can have up to ${MAX_INVITEES_PER_POLL} invitees` });
+    }
+
+    if (req.body.send && !INVITABLE_STATUSES.includes(poll.getEffectiveStatus())) {
+      return res.status(400).json({ message: 'Invitations can only be sent for scheduled or open polls' });
+    }
+
+    const inserted = { organization: poll.organization, responded: false, purgeAt: poll.purgeAt, createdAt: new Date() };
+    const result = await PollInvitee.bulkWrite(entries.map(entry => ({
+      updateOne: {
+        filter: { poll: poll._id, email: entry.email },
+        // An empty name never overwrites a known one
+        update: entry.name
+          ? { $set: { name: entry.name }, $setOnInsert: inserted }
+          : { $setOnInsert: { ...inserted, name: '' } },
+        upsert: true
+      }
+    })));
+
+    const queued = req.body.send ? await queueInvitations({ poll: poll._id, invitedAt: null }) : 0;
+
+    await recordAudit(req, {
+      action: 'poll.invitees.import',
+      entityType: 'poll',
+      entityId: poll._id,
+      metadata: { added: result.upsertedCount, updated: result.matchedCount, queued }
+    });
+
+    res.status(req.body.send ? 202 : 201).json({
+      message: req.body.send ? `Guest list imported, ${queued} invitation(s) queued` : 'Guest list imported',
+      added: result.upsertedCount,
+      updated: result.matchedCount,
+      queued,
+      summary: await countInvitees(poll)
+    });
+  } catch (error) {
+    console.error('Import invitees error:', error);
+    res.status(500).json({ message: 'Server error importing invitees' });
+  }
+});
+
+// @route   POST /api/polls/:pollId/invitees/send
+// @desc    Queue invitations for everyone not invited yet, or resend to { inviteeIds }.
+//          Returns 202: the emails go out in the background (see summary.queued).
+// @access  Protected
+router.post('/send', authorize('polls:write'), async (req, res) => {
+  try {
+    const poll = await findPoll(req);
+
+    if (!poll) {
+      return res.status(404).json({ message: 'Poll not found' });
+    }
+
+    if (!INVITABLE_STATUSES.includes(poll.getEffectiveStatus())) {
+      return res.status(400).json({ message: 'Invitations can only be sent for scheduled or open polls' });
+    }
+
+    const { inviteeIds } = req.body;
+    const filter = Array.isArray(inviteeIds)
+      ? { poll: poll._id, responded: false, _id: { $in: inviteeIds.filter(id => mongoose.isValidObjectId(id)) } }
+      : { poll: poll._id, invitedAt: null };
+    const queued = await queueInvitations(filter);
+
+    await recordAudit(req, { action: 'poll.invitees.send', entityType: 'poll', entityId: poll._id, metadata: { queued } });
+
+    res.status(202).json({
+      message: `${queued} invitation(s) queued`,
+      queued,
+      summary: await countInvitees(poll)
+    });
+  } catch (error) {
+    console.error('Send invitations error:', error);
+    res.status(500).json({ message: 'Server error sending invitations' });
+  }
+});
+
+// @route   POST /api/polls/:pollId/invitees/remind
+// @desc    Queue a reminder for every invited guest who hasn't responded (202, sent in the background)
+// @access  Protected
+router.post('/remind', authorize('polls:write'), async (req, res) => {
+  try {
+    const poll = await findPoll(req);
+
+    if (!poll) {
+      return res.status(404).json({ message: 'Poll not found' });
+    }
+
+    if (!poll.isAcceptingResponses()) {
+      return res.status(400).json({ message: 'Reminders can only be sent while the poll is open' });
+    }
+
+    const queued = await queueInvitations({ poll: poll._id, responded: false, invitedAt: { $ne: null } }, { reminder: true });
+
+    await recordAudit(req, { action: 'poll.invitees.remind', entityType: 'poll', entityId: poll._id, metadata: { queued } });
+
+    res.status(202).json({
+      message: `${queued} reminder(s) queued`,
+      queued,
+      summary: await countInvitees(poll)
+    });
+  } catch (error) {
+    console.error('Send reminders error:', error);
+    res.status(500).json({ message: 'Server error sending reminders' });
+  }
+});
+
+// @route   DELETE /api/polls/:pollId/invitees/:inviteeId
+// @desc    Remove someone from the guest list (their personal link stops working)
+// @access  Protected
+router.delete('/:inviteeId', authorize('polls:write'), async (req, res) => {
+  try {
+    const poll = await findPoll(req);
+
+    if (!poll) {
+      return res.status(404).json({ message: 'Poll not found' });
+    }
+
+    const invitee = mongoose.isValidObjectId(req.params.inviteeId)
+      ? await PollInvitee.findOneAndDelete({ _id: req.params.inviteeId, poll: poll._id })
+      : null;
+
+    if (!invitee) {
+      return res.status(404).json({ message: 'Invitee not found' });
+    }
+
+    await recordAudit(req, { action: 'poll.invitees.delete', entityType: 'poll', entityId: poll._id, metadata: { email: invitee.email } });
+
+    res.json({ message: 'Invitee removed' });
+  } catch (error) {
+    console.error('Delete invitee error:', error);
+    res.status(500).json({ message: 'Server error removing invitee' });
+  }
+});
+
+module.exports = router;
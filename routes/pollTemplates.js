@@ -0,0 +1,198 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Poll = require('../models/Poll');
+const PollTemplate = require('../models/PollTemplate');
+const { protect, authorize } = require('../middleware/auth');
+const { recordAudit, snapshot } = require('../lib/audit');
+const { validateQuestions } = require('../lib/pollValidation');
+const { BUILT_IN_TEMPLATES, formatBuiltIn, formatTemplate, pickTemplateContent, findTemplate } = require('../lib/pollTemplates');
+
+const router = express.Router();
+
+const MAX_TEMPLATES_PER_USER = 100;
+
+// Validates template poll content, returns an error response body or null
+const checkContent = (content) => {
+  if (!content.title) {
+    return { message: 'Please provide a poll title' };
+  }
+  if (!Poll.SUBMISSION_POLICIES.includes(content.submissionPolicy)) {
+    return { message: `Submission policy must be one of: ${Poll.SUBMISSION_POLICIES.join(', ')}` };
+  }
+  if (!Poll.IDENTITY_MODES.includes(content.identityMode)) {
+    return { message: `Identity mode must be one of: ${Poll.IDENTITY_MODES.join(', ')}` };
+  }
+  const errors = validateQuestions(content.questions, { isQuiz: content.isQuiz });
+  return errors.length > 0 ? { message: 'Invalid questions', errors } : null;
+};
+
+const findOwnTemplate = (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return null;
+  }
+  return PollTemplate.findOne({ _id: req.params.id, user: req.user._id, organization: req.organizationId });
+};
+
+// Apply protect middleware to all routes
+router.use(protect);
+
+// @route   GET /api/poll-templates
+// @desc    List the built-in starter templates and the user's saved templates
+// @access  Protected
+router.get('/', authorize('polls:read'), async (req, res) => {
+  try {
+    const templates = await PollTemplate.find({ user: req.user._id, organization: req.organizationId }).sort({ name: 1 });
+
+    res.json({
+      builtIn: BUILT_IN_TEMPLATES.map(formatBuiltIn),
+      templates: templates.map(formatTemplate)
+    });
+  } catch (error) {
+    console.error('Get poll templates error:', error);
+    res.status(500).json({ message: 'Server error fetching templates' });
+  }
+});
+
+// @route   GET /api/poll-templates/:id
+// @desc    Get a built-in or saved template
+// @access  Protected
+router.get('/:id', authorize('polls:read'), async (req, res) => {
+  try {
+    const template = await findTemplate(req.params.id, req);
+
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    res.json({ template });
+  } catch (error) {
+    console.error('Get poll template error:', error);
+    res.status(500).json({ message: 'Server error fetching template' });
+  }
+});
+
+// @route   POST /api/poll-templates
+// @desc    Save a template, either from an existing poll ({ name, pollId }) or from poll content ({ name, poll })
+// @access  Protected
+router.post('/', authorize('polls:write'), async (req, res) => {
+  try {
+    const { name, description, pollId, poll } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ message: 'Please provide a template name' });
+    }
+
+    let source = poll;
+    if (pollId) {
+      source = mongoose.isValidObjectId(pollId)
+        ? await Poll.findOne({ _id: pollId, organization: req.organizationId })
+        : null;
+      if (!source) {
+        return res.status(404).json({ message: 'Poll not found' });
+      }
+    }
+    if (!source || typeof source !== 'object') {
+      return res.status(400).json({ message: 'Please provide a poll or pollId' });
+    }
+
+    const content = pickTemplateContent(source);
+    const contentError = checkContent(content);
+    if (contentError) {
+      return res.status(400).json(contentError);
+    }
+
+    const count = await PollTemplate.countDocuments({ user: req.user._id, organization: req.organizationId });
+    if (count >= MAX_TEMPLATES_PER_USER) {
+      return res.status(400).json({ message: `You can save up to ${MAX_TEMPLATES_PER_USER} templates` });
+    }
+
+    const template = await PollTemplate.create({
+      name: String(name).trim(),
+      description: description || '',
+      user: req.user._id,
+      organization: req.organizationId,
+      poll: content
+    });
+
+    await recordAudit(req, { action: 'pollTemplate.create', entityType: 'pollTemplate', entityId: template._id, after: template });
+
+    res.status(201).json({
+      message: 'Template saved',
+      template: formatTemplate(template)
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'You already have a template with this name' });
+    }
+    console.error('Create poll template error:', error);
+    res.status(500).json({ message: 'Server error saving template' });
+  }
+});
+
+// @route   PUT /api/poll-templates/:id
+// @desc    Rename a saved template or replace its poll content
+// @access  Protected
+router.put('/:id', authorize('polls:write'), async (req, res) => {
+  try {
+    const template = await findOwnTemplate(req);
+
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    const { name, description, poll } = req.body;
+    const before = snapshot(template);
+
+    if (poll) {
+      const content = pickTemplateContent({ ...pickTemplateContent(template.poll), ...poll });
+      const contentError = checkContent(content);
+      if (contentError) {
+        return res.status(400).json(contentError);
+      }
+      template.poll = content;
+    }
+
+    template.name = name && String(name).trim() ? String(name).trim() : template.name;
+    template.description = description !== undefined ? description : template.description;
+    template.updatedAt = Date.now();
+
+    await template.save();
+
+    await recordAudit(req, { action: 'pollTemplate.update', entityType: 'pollTemplate', entityId: template._id, before, after: template });
+
+    res.json({
+      message: 'Template updated',
+      template: formatTemplate(template)
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'You already have a template with this name' });
+    }
+    console.error('Update poll template error:', error);
+    res.status(500).json({ message: 'Server error updating template' });
+  }
+});
+
+// @route   DELETE /api/poll-templates/:id
+// @desc    Delete a saved template (built-in templates can't be deleted)
+// @access  Protected
+router.delete('/:id', authorize('polls:write'), async (req, res) => {
+  try {
+    const template = await findOwnTemplate(req);
+
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    await template.deleteOne();
+
+    await recordAudit(req, { action: 'pollTemplate.delete', entityType: 'pollTemplate', entityId: template._id, before: template });
+
+    res.json({ message: 'Template deleted' });
+  } catch (error) {
+    console.error('Delete poll template error:', error);
+    res.status(500).json({ message: 'Server error deleting template' });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,21 @@
 const express = require('express');
+const QRCode = require('qrcode');
 const Poll = require('../models/Poll');
 const Submission = require('../models/Submission');
-const { protect } = require('../middleware/auth');
+const { protect, authorize } = require('../middleware/auth');
+const { resolveTenant } = require('../middleware/tenant');
+const { recordAudit, snapshot } = require('../lib/audit');
+const { validateQuestions, validateQuotas } = require('../lib/pollValidation');
+const { recountCapacity } = require('../lib/pollQuotas');
+const { readFormProtection } = require('../lib/formProtection');
+const { formatPublicResults } = require('../lib/publicResults');
+const { summarizePolls } = require('../lib/pollResults');
+const { notifyPollUpdated } = require('../lib/liveResults');
+const { rescoreSubmissions } = require('../lib/quiz');
+const { pickTemplateContent, findTemplate } = require('../lib/pollTemplates');
+const { readTracking, buildShareUrl, summarizeTraffic } = require('../lib/pollTracking');
+const PollTraffic = require('../models/PollTraffic');
+const PollInvitee = require('../models/PollInvitee');
 
 const router = express.Router();
 
@@ -9,52 +23,49 @@ const router = express.Router();
 // @route   GET /api/polls/public
 // @desc    Get all active polls for public viewing
 // @access  Public
-router.get('/public', async (req, res) => {
+router.get('/public', resolveTenant, async (req, res) => {
   try {
-    // Get all polls that haven't expired yet and populate user info
-    const polls = await Poll.find({ expireAt: { $gte: new Date() } })
+    // Get all polls currently accepting responses and populate user info
+    const polls = await Poll.find({ organization: req.organizationId, ...Poll.openFilter() })
       .populate('user', 'name')
       .sort({ createdAt: -1 });
     
+    // Vote counts are only listed for polls whose results are always public (the others
+    // need the participant's proof of answering or the poll to be closed), tallied in a single aggregation
+    const summaries = await summarizePolls(polls.filter(poll => poll.resultsVisibility === 'always'));
+
     // Transform polls to match the expected format
-    const formattedPolls = await Promise.all(polls.map(async (poll) => {
+    const formattedPolls = polls.map(poll => {
       // Get the first question as the main question
       const mainQuestion = poll.questions[0] || {};
-      
-      // Count submissions for this poll
-      const submissionCount = await Submission.countDocuments({ poll: poll._id });
-      
-      // Count votes for each option
-      const submissions = await Submission.find({ poll: poll._id });
-      const optionVotes = {};
-      
-      submissions.forEach(submission => {
-        submission.answers.forEach(answer => {
-          if (answer.questionId === mainQuestion.id) {
-            optionVotes[answer.answer] = (optionVotes[answer.answer] || 0) + 1;
-          }
-        });
+      const summary = summaries.has(String(poll._id)) ? formatPublicResults(poll, summaries.get(String(poll._id))) : null;
+      const mainSummary = (summary && summary.questions[0]) || {};
+
+      // Format options with vote counts (null when hidden or withheld)
+      const optionsWithVotes = (mainQuestion.options || []).map(text => {
+        const option = (mainSummary.options || []).find(item => item.value === text);
+        return {
+          text,
+          votes: option ? option.count : null
+        };
       });
-      
-      // Format options with vote counts
-      const optionsWithVotes = (mainQuestion.options || []).map(option => ({
-        text: option,
-        votes: optionVotes[option] || 0
-      }));
-      
+
       return {
         _id: poll._id,
+        slug: poll.slug,
         question: mainQuestion.text || poll.title,
         description: poll.description,
         options: optionsWithVotes,
-        startDate: poll.createdAt,
+        startDate: poll.opensAt || poll.createdAt,
         endDate: poll.expireAt,
+        status: poll.getEffectiveStatus(),
         location: '', // Polls don't have location, but keeping for consistency
         createdBy: poll.user?.name || 'Anonymous',
         createdAt: poll.createdAt,
-        totalSubmissions: submissionCount
+        resultsVisibility: poll.resultsVisibility,
+        totalSubmissions: summary ? summary.totalSubmissions : null
       };
-    }));
+    });
 
     res.json({ 
       success: true,
@@ -69,18 +80,109 @@ router.get('/public', async (req, res) => {
 // Apply protect middleware to all routes below this point
 router.use(protect);
 
+// Drafts stay drafts; anything published is scheduled until opensAt, then open
+const publishedStatus = (opensAt) => (opensAt && new Date(opensAt) > new Date() ? 'scheduled' : 'open');
+
+// Validates the lifecycle fields accepted by create/update, returns an error message or null
+const checkLifecycleFields = ({ status, opensAt, retentionDays }) => {
+  if (status !== undefined && !['draft', 'open'].includes(status)) {
+    return 'Status can only be set to draft or open here; use the close, reopen and archive actions';
+  }
+  if (opensAt && Number.isNaN(new Date(opensAt).getTime())) {
+    return 'Invalid opening date';
+  }
+  if (retentionDays !== undefined && retentionDays !== null && !(Number.isInteger(retentionDays) && retentionDays > 0)) {
+    return 'Retention must be a whole number of days';
+  }
+  return null;
+};
+
+// Validates the public results settings (final values after the update), returns an error message or null
+const checkResultsFields = ({ resultsVisibility, resultsMinCount, publicLiveResults }) => {
+  if (!Poll.RESULTS_VISIBILITIES.includes(resultsVisibility)) {
+    return `Results visibility must be one of: ${Poll.RESULTS_VISIBILITIES.join(', ')}`;
+  }
+  if (resultsMinCount !== undefined && !(Number.isInteger(resultsMinCount) && resultsMinCount >= 0)) {
+    return 'The minimum count for public results must be a whole number';
+  }
+  if (publicLiveResults && resultsVisibility === 'never') {
+    return 'Live results can only be public when the results visibility allows it';
+  }
+  return null;
+};
+
+// Quotas as stored: counters are never taken from the request
+const pickQuotas = (optionQuotas) => (optionQuotas || []).map(({ questionId, option, limit }) => ({ questionId, option, limit }));
+
+// Submissions, the guest list and the traffic counters are purged together with their poll
+const syncSubmissionRetention = (poll) => Promise.all([
+  Submission.updateMany({ poll: poll._id }, { purgeAt: poll.purgeAt }),
+  PollInvitee.updateMany({ poll: poll._id }, { purgeAt: poll.purgeAt }),
+  PollTraffic.updateMany({ poll: poll._id }, { purgeAt: poll.purgeAt })
+]);
+
+// Adds the current (time-dependent) status to a poll for API responses
+const withEffectiveStatus = (poll) => ({ ...poll.toObject(), status: poll.getEffectiveStatus() });
+
 // @route   POST /api/polls
-// @desc    Create a new poll
+// @desc    Create a new poll, optionally starting from a template ({ templateId, expireAt, ... })
 // @access  Protected
-router.post('/', async (req, res) => {
+router.post('/', authorize('polls:write'), async (req, res) => {
   try {
-    const { title, description, questions, expireAt, consentEnabled, consentText } = req.body;
+    let source = req.body;
+    if (req.body.templateId) {
+      const template = await findTemplate(String(req.body.templateId), req);
+      if (!template) {
+        return res.status(404).json({ message: 'Template not found' });
+      }
+      // Anything sent with the request overrides the template
+      source = { ...template.poll, ...req.body };
+    }
+
+    const { title, description, questions, expireAt, consentEnabled, consentText, submissionPolicy, identityMode, status, opensAt, retentionDays, publicLiveResults, resultsVisibility, resultsMinCount, isQuiz, responseLimit, optionQuotas, formProtection } = source;
 
     // Validation
     if (!title || !questions || !expireAt) {
       return res.status(400).json({ message: 'Please provide title, questions, and expiry date' });
     }
 
+    const questionErrors = validateQuestions(questions, { isQuiz: Boolean(isQuiz) });
+    if (questionErrors.length > 0) {
+      return res.status(400).json({ message: 'Invalid questions', errors: questionErrors });
+    }
+
+    if (submissionPolicy !== undefined && !Poll.SUBMISSION_POLICIES.includes(submissionPolicy)) {
+      return res.status(400).json({ message: `Submission policy must be one of: ${Poll.SUBMISSION_POLICIES.join(', ')}` });
+    }
+
+    if (identityMode !== undefined && !Poll.IDENTITY_MODES.includes(identityMode)) {
+      return res.status(400).json({ message: `Identity mode must be one of: ${Poll.IDENTITY_MODES.join(', ')}` });
+    }
+
+    const lifecycleError = checkLifecycleFields({ status, opensAt, retentionDays });
+    if (lifecycleError) {
+      return res.status(400).json({ message: lifecycleError });
+    }
+
+    const quotaErrors = validateQuotas(questions, { responseLimit, optionQuotas });
+    if (quotaErrors.length > 0) {
+      return res.status(400).json({ message: 'Invalid quotas', errors: quotaErrors });
+    }
+
+    const resultsError = checkResultsFields({
+      resultsVisibility: resultsVisibility || 'never',
+      resultsMinCount,
+      publicLiveResults
+    });
+    if (resultsError) {
+      return res.status(400).json({ message: resultsError });
+    }
+
+    const protection = formProtection !== undefined ? readFormProtection(formProtection) : null;
+    if (protection && protection.error) {
+      return res.status(400).json({ message: protection.error });
+    }
+
     // Create poll
     const poll = await Poll.create({
       title,
@@ -89,7 +191,28 @@ router.post('/', async (req, res) => {
       expireAt,
       consentEnabled: consentEnabled || false,
       consentText: consentEnabled ? consentText : null,
-      user: req.user.id
+      submissionPolicy: submissionPolicy || 'unlimited',
+      identityMode: identityMode || 'identified',
+      status: status === 'draft' ? 'draft' : publishedStatus(opensAt),
+      opensAt: opensAt || null,
+      ...(retentionDays !== undefined && { retentionDays }),
+      publicLiveResults: publicLiveResults || false,
+      resultsVisibility: resultsVisibility || 'never',
+      ...(resultsMinCount !== undefined && { resultsMinCount }),
+      isQuiz: Boolean(isQuiz),
+      responseLimit: responseLimit || null,
+      optionQuotas: pickQuotas(optionQuotas),
+      ...(protection && { formProtection: protection.formProtection }),
+      user: req.user._id,
+      organization: req.organizationId
+    });
+
+    await recordAudit(req, {
+      action: 'poll.create',
+      entityType: 'poll',
+      entityId: poll._id,
+      after: poll,
+      metadata: req.body.templateId ? { templateId: String(req.body.templateId) } : null
     });
 
     res.status(201).json({
@@ -105,19 +228,27 @@ router.post('/', async (req, res) => {
 // @route   GET /api/polls
 // @desc    Get all polls for logged-in user
 // @access  Protected
-router.get('/', async (req, res) => {
+router.get('/', authorize('polls:read'), async (req, res) => {
   try {
-    const polls = await Poll.find({ user: req.user.id }).sort({ createdAt: -1 });
+    let polls = await Poll.find({ organization: req.organizationId }).sort({ createdAt: -1 });
+
+    // Optional ?status= filter on the current status
+    if (req.query.status) {
+      polls = polls.filter(poll => poll.getEffectiveStatus() === req.query.status);
+    }
     
     // Add submission count to each poll
-    const pollsWithResponses = await Promise.all(polls.map(async (poll) => {
-      const submissionCount = await Submission.countDocuments({ poll: poll._id });
+    const summaries = await summarizePolls(polls, { questions: false });
+    const pollsWithResponses = polls.map(poll => {
+      const responseCount = summaries.get(String(poll._id)).totalSubmissions;
       return {
-        ...poll.toObject(),
-        responses: Array(submissionCount).fill(null) // Create an array with length = submission count
+        ...withEffectiveStatus(poll),
+        responseCount,
+        // Deprecated: the dashboard reads responses.length, use responseCount instead
+        responses: Array(responseCount).fill(null)
       };
-    }));
-    
+    });
+
     res.json({ polls: pollsWithResponses });
   } catch (error) {
     console.error('Get polls error:', error);
@@ -128,20 +259,15 @@ router.get('/', async (req, res) => {
 // @route   GET /api/polls/:id
 // @desc    Get a single poll by ID
 // @access  Protected
-router.get('/:id', async (req, res) => {
+router.get('/:id', authorize('polls:read'), async (req, res) => {
   try {
-    const poll = await Poll.findById(req.params.id);
+    const poll = await Poll.findOne({ _id: req.params.id, organization: req.organizationId });
 
     if (!poll) {
       return res.status(404).json({ message: 'Poll not found' });
     }
 
-    // Security: Check if the logged-in user owns this poll
-    if (poll.user.toString() !== req.user.id) {
-      return res.status(403).json({ message: 'Not authorized to access this poll' });
-    }
-
-    res.json({ poll });
+    res.json({ poll: withEffectiveStatus(poll) });
   } catch (error) {
     console.error('Get poll error:', error);
     res.status(500).json({ message: 'Server error fetching poll' });
@@ -151,20 +277,85 @@ router.get('/:id', async (req, res) => {
 // @route   PUT /api/polls/:id
 // @desc    Update a poll
 // @access  Protected
-router.put('/:id', async (req, res) => {
+router.put('/:id', authorize('polls:write'), async (req, res) => {
   try {
-    const poll = await Poll.findById(req.params.id);
+    const poll = await Poll.findOne({ _id: req.params.id, organization: req.organizationId });
 
     if (!poll) {
       return res.status(404).json({ message: 'Poll not found' });
     }
 
-    // Security: Check if the logged-in user owns this poll
-    if (poll.user.toString() !== req.user.id) {
-      return res.status(403).json({ message: 'Not authorized to update this poll' });
+    const { title, description, questions, expireAt, consentEnabled, consentText, submissionPolicy, identityMode, status, opensAt, retentionDays, publicLiveResults, resultsVisibility, resultsMinCount, isQuiz, slug, responseLimit, optionQuotas, formProtection } = req.body;
+    const before = snapshot(poll);
+
+    // Turning a poll into a quiz needs an answer key on the existing questions too
+    const wasQuiz = poll.isQuiz;
+    const quiz = isQuiz !== undefined ? Boolean(isQuiz) : wasQuiz;
+    if (questions || (quiz && !wasQuiz)) {
+      const questionErrors = validateQuestions(questions || poll.questions.map(question => question.toObject()), { isQuiz: quiz });
+      if (questionErrors.length > 0) {
+        return res.status(400).json({ message: 'Invalid questions', errors: questionErrors });
+      }
     }
 
-    const { title, description, questions, expireAt, consentEnabled, consentText } = req.body;
+    if (submissionPolicy !== undefined && !Poll.SUBMISSION_POLICIES.includes(submissionPolicy)) {
+      return res.status(400).json({ message: `Submission policy must be one of: ${Poll.SUBMISSION_POLICIES.join(', ')}` });
+    }
+
+    if (identityMode !== undefined && !Poll.IDENTITY_MODES.includes(identityMode)) {
+      return res.status(400).json({ message: `Identity mode must be one of: ${Poll.IDENTITY_MODES.join(', ')}` });
+    }
+
+    // Participants answered under the promise of the current mode
+    if (identityMode !== undefined && identityMode !== poll.identityMode && await Submission.exists({ poll: poll._id })) {
+      return res.status(400).json({ message: 'The identity mode can\'t be changed once the poll has responses' });
+    }
+
+    const lifecycleError = checkLifecycleFields({ status, opensAt, retentionDays });
+    if (lifecycleError) {
+      return res.status(400).json({ message: lifecycleError });
+    }
+
+    // Quotas must still point at existing options when the questions change
+    const quotasChanged = questions !== undefined || responseLimit !== undefined || optionQuotas !== undefined;
+    if (quotasChanged) {
+      const quotaErrors = validateQuotas(questions || poll.questions, {
+        responseLimit,
+        optionQuotas: optionQuotas !== undefined ? optionQuotas : poll.optionQuotas
+      });
+      if (quotaErrors.length > 0) {
+        return res.status(400).json({ message: 'Invalid quotas', errors: quotaErrors });
+      }
+    }
+
+    const resultsError = checkResultsFields({
+      resultsVisibility: resultsVisibility !== undefined ? resultsVisibility : poll.resultsVisibility,
+      resultsMinCount: resultsMinCount !== undefined ? resultsMinCount : poll.resultsMinCount,
+      publicLiveResults: publicLiveResults !== undefined ? publicLiveResults : poll.publicLiveResults
+    });
+    if (resultsError) {
+      return res.status(400).json({ message: resultsError });
+    }
+
+    const protection = formProtection !== undefined ? readFormProtection(formProtection, poll.formProtection) : null;
+    if (protection && protection.error) {
+      return res.status(400).json({ message: protection.error });
+    }
+
+    // Changing the slug breaks links and QR codes already handed out, so it's only done on request
+    if (slug !== undefined && slug !== poll.slug) {
+      if (!Poll.isValidSlug(slug)) {
+        return res.status(400).json({ message: 'Slugs may only contain lowercase letters, numbers and dashes' });
+      }
+      if (await Poll.exists({ organization: req.organizationId, slug, _id: { $ne: poll._id } })) {
+        return res.status(409).json({ message: 'Another poll already uses this link' });
+      }
+      poll.slug = slug;
+    }
+
+    if (status !== undefined && ['closed', 'archived'].includes(poll.status)) {
+      return res.status(400).json({ message: 'Reopen the poll before changing its status' });
+    }
 
     // Update poll
     poll.title = title || poll.title;
@@ -173,12 +364,48 @@ router.put('/:id', async (req, res) => {
     poll.expireAt = expireAt || poll.expireAt;
     poll.consentEnabled = consentEnabled !== undefined ? consentEnabled : poll.consentEnabled;
     poll.consentText = consentText !== undefined ? consentText : poll.consentText;
+    poll.submissionPolicy = submissionPolicy || poll.submissionPolicy;
+    poll.identityMode = identityMode || poll.identityMode;
+    poll.opensAt = opensAt !== undefined ? (opensAt || null) : poll.opensAt;
+    poll.retentionDays = retentionDays !== undefined ? retentionDays : poll.retentionDays;
+    poll.publicLiveResults = publicLiveResults !== undefined ? publicLiveResults : poll.publicLiveResults;
+    poll.resultsVisibility = resultsVisibility !== undefined ? resultsVisibility : poll.resultsVisibility;
+    poll.resultsMinCount = resultsMinCount !== undefined ? resultsMinCount : poll.resultsMinCount;
+    poll.isQuiz = quiz;
+    poll.responseLimit = responseLimit !== undefined ? (responseLimit || null) : poll.responseLimit;
+    if (optionQuotas !== undefined) {
+      poll.optionQuotas = pickQuotas(optionQuotas);
+    }
+    if (protection) {
+      poll.formProtection = protection.formProtection;
+    }
+
+    // Publishing a draft or moving opensAt switches between scheduled and open
+    const nextStatus = status !== undefined ? status : poll.status;
+    if (nextStatus === 'draft') {
+      poll.status = 'draft';
+    } else if (['draft', 'scheduled', 'open'].includes(nextStatus)) {
+      poll.status = publishedStatus(poll.opensAt);
+    }
 
     await poll.save();
+    await syncSubmissionRetention(poll);
+
+    // New limits start from the responses already collected
+    if (quotasChanged) {
+      await recountCapacity(poll);
+    }
+
+    // A new answer key changes the scores of everyone who already answered
+    if ((quiz || wasQuiz) && (questions || quiz !== wasQuiz)) {
+      await rescoreSubmissions(poll);
+    }
+
+    await recordAudit(req, { action: 'poll.update', entityType: 'poll', entityId: poll._id, before, after: poll });
 
     res.json({
       message: 'Poll updated successfully',
-      poll
+      poll: withEffectiveStatus(poll)
     });
   } catch (error) {
     console.error('Update poll error:', error);
@@ -186,23 +413,290 @@ router.put('/:id', async (req, res) => {
   }
 });
 
+// @route   GET /api/polls/:id/qrcode
+// @desc    Generate a QR code for the poll's public link (?utm_source=&utm_medium=&utm_campaign=, medium defaults to "qr")
+// @access  Protected
+router.get('/:id/qrcode', authorize('polls:read'), async (req, res) => {
+  try {
+    const poll = await Poll.findOne({ _id: req.params.id, organization: req.organizationId });
+
+    if (!poll) {
+      return res.status(404).json({ message: 'Poll not found' });
+    }
+
+    await poll.ensureSlug();
+
+    const tracking = readTracking(req.query);
+    const pollUrl = buildShareUrl(poll, req.organization, { ...tracking, medium: tracking.medium || 'qr' });
+
+    // Generate QR code as data URL
+    const qrCodeDataUrl = await QRCode.toDataURL(pollUrl, {
+      width: 300,
+      margin: 2,
+      color: {
+        dark: '#000000',
+        light: '#FFFFFF'
+      }
+    });
+
+    res.json({
+      success: true,
+      qrCode: qrCodeDataUrl,
+      url: pollUrl,
+      slug: poll.slug
+    });
+  } catch (error) {
+    console.error('Error generating poll QR code:', error);
+    res.status(500).json({ message: 'Server error while generating QR code' });
+  }
+});
+
+// @route   GET /api/polls/:id/share-link
+// @desc    Get the poll's public link, tagged with optional UTM parameters
+// @access  Protected
+router.get('/:id/share-link', authorize('polls:read'), async (req, res) => {
+  try {
+    const poll = await Poll.findOne({ _id: req.params.id, organization: req.organizationId });
+
+    if (!poll) {
+      return res.status(404).json({ message: 'Poll not found' });
+    }
+
+    await poll.ensureSlug();
+
+    res.json({
+      success: true,
+      url: buildShareUrl(poll, req.organization, readTracking(req.query)),
+      slug: poll.slug
+    });
+  } catch (error) {
+    console.error('Error building poll link:', error);
+    res.status(500).json({ message: 'Server error while building link' });
+  }
+});
+
+// @route   GET /api/polls/:id/traffic
+// @desc    Visits and submissions per UTM source/medium/campaign (?from=&to= as YYYY-MM-DD)
+// @access  Protected
+router.get('/:id/traffic', authorize('results:read'), async (req, res) => {
+  try {
+    const poll = await Poll.findOne({ _id: req.params.id, organization: req.organizationId });
+
+    if (!poll) {
+      return res.status(404).json({ message: 'Poll not found' });
+    }
+
+    const from = req.query.from ? new Date(`${req.query.from}T00:00:00Z`) : null;
+    const to = req.query.to ? new Date(`${req.query.to}T00:00:00Z`) : null;
+    if ((from && Number.isNaN(from.getTime())) || (to && Number.isNaN(to.getTime()))) {
+      return res.status(400).json({ message: 'Dates must use the YYYY-MM-DD format' });
+    }
+
+    const sources = await summarizeTraffic(poll, { from, to });
+
+    res.json({
+      success: true,
+      totals: {
+        visits: sources.reduce((sum, row) => sum + row.visits, 0),
+        submissions: sources.reduce((sum, row) => sum + row.submissions, 0)
+      },
+      sources
+    });
+  } catch (error) {
+    console.error('Get poll traffic error:', error);
+    res.status(500).json({ message: 'Server error fetching poll traffic' });
+  }
+});
+
+// @route   POST /api/polls/:id/duplicate
+// @desc    Copy a poll's questions and settings into a new poll ({ expireAt, title?, opensAt?, status? })
+// @access  Protected
+router.post('/:id/duplicate', authorize('polls:write'), async (req, res) => {
+  try {
+    const original = await Poll.findOne({ _id: req.params.id, organization: req.organizationId });
+
+    if (!original) {
+      return res.status(404).json({ message: 'Poll not found' });
+    }
+
+    const { title, expireAt, opensAt, status } = req.body;
+
+    if (!expireAt || Number.isNaN(new Date(expireAt).getTime()) || new Date(expireAt) <= new Date()) {
+      return res.status(400).json({ message: 'Please provide an expiry date in the future' });
+    }
+
+    const lifecycleError = checkLifecycleFields({ status, opensAt });
+    if (lifecycleError) {
+      return res.status(400).json({ message: lifecycleError });
+    }
+
+    // Responses and lifecycle dates are not copied
+    const poll = await Poll.create({
+      ...pickTemplateContent(original),
+      title: title || original.title,
+      expireAt,
+      status: status === 'draft' ? 'draft' : publishedStatus(opensAt),
+      opensAt: opensAt || null,
+      retentionDays: original.retentionDays,
+      publicLiveResults: original.publicLiveResults,
+      resultsVisibility: original.resultsVisibility,
+      resultsMinCount: original.resultsMinCount,
+      responseLimit: original.responseLimit,
+      optionQuotas: pickQuotas(original.optionQuotas),
+      formProtection: original.toObject().formProtection,
+      user: req.user._id,
+      organization: req.organizationId
+    });
+
+    await recordAudit(req, {
+      action: 'poll.duplicate',
+      entityType: 'poll',
+      entityId: poll._id,
+      after: poll,
+      metadata: { duplicatedFrom: String(original._id) }
+    });
+
+    res.status(201).json({
+      message: 'Poll duplicated successfully',
+      poll: withEffectiveStatus(poll)
+    });
+  } catch (error) {
+    console.error('Duplicate poll error:', error);
+    res.status(500).json({ message: 'Server error duplicating poll' });
+  }
+});
+
+// @route   PUT /api/polls/:id/close
+// @desc    Stop accepting responses now (results are kept)
+// @access  Protected
+router.put('/:id/close', authorize('polls:write'), async (req, res) => {
+  try {
+    const poll = await Poll.findOne({ _id: req.params.id, organization: req.organizationId });
+
+    if (!poll) {
+      return res.status(404).json({ message: 'Poll not found' });
+    }
+
+    if (!['scheduled', 'open'].includes(poll.getEffectiveStatus())) {
+      return res.status(400).json({ message: `A ${poll.getEffectiveStatus()} poll can't be closed` });
+    }
+
+    const before = snapshot(poll);
+    poll.status = 'closed';
+    poll.closedAt = new Date();
+    await poll.save();
+    await syncSubmissionRetention(poll);
+
+    await recordAudit(req, { action: 'poll.close', entityType: 'poll', entityId: poll._id, before, after: poll });
+
+    res.json({
+      message: 'Poll closed',
+      poll: withEffectiveStatus(poll)
+    });
+  } catch (error) {
+    console.error('Close poll error:', error);
+    res.status(500).json({ message: 'Server error closing poll' });
+  }
+});
+
+// @route   PUT /api/polls/:id/reopen
+// @desc    Accept responses again for a closed or archived poll (optionally with a new expireAt)
+// @access  Protected
+router.put('/:id/reopen', authorize('polls:write'), async (req, res) => {
+  try {
+    const poll = await Poll.findOne({ _id: req.params.id, organization: req.organizationId });
+
+    if (!poll) {
+      return res.status(404).json({ message: 'Poll not found' });
+    }
+
+    if (!['closed', 'archived'].includes(poll.getEffectiveStatus())) {
+      return res.status(400).json({ message: 'Only closed or archived polls can be reopened' });
+    }
+
+    if (poll.isFull()) {
+      return res.status(400).json({ message: 'This poll has reached its response limit; raise the limit to accept more responses' });
+    }
+
+    const expireAt = req.body.expireAt ? new Date(req.body.expireAt) : poll.expireAt;
+    if (Number.isNaN(expireAt.getTime()) || expireAt <= new Date()) {
+      return res.status(400).json({ message: 'Please provide a new expiry date in the future' });
+    }
+
+    const before = snapshot(poll);
+    poll.expireAt = expireAt;
+    poll.closedAt = null;
+    poll.archivedAt = null;
+    poll.status = publishedStatus(poll.opensAt);
+    await poll.save();
+    await syncSubmissionRetention(poll);
+
+    await recordAudit(req, { action: 'poll.reopen', entityType: 'poll', entityId: poll._id, before, after: poll });
+
+    res.json({
+      message: 'Poll reopened',
+      poll: withEffectiveStatus(poll)
+    });
+  } catch (error) {
+    console.error('Reopen poll error:', error);
+    res.status(500).json({ message: 'Server error reopening poll' });
+  }
+});
+
+// @route   PUT /api/polls/:id/archive
+// @desc    Hide a poll from day-to-day lists, closing it if needed (results are kept)
+// @access  Protected
+router.put('/:id/archive', authorize('polls:write'), async (req, res) => {
+  try {
+    const poll = await Poll.findOne({ _id: req.params.id, organization: req.organizationId });
+
+    if (!poll) {
+      return res.status(404).json({ message: 'Poll not found' });
+    }
+
+    if (poll.status === 'archived') {
+      return res.status(400).json({ message: 'Poll is already archived' });
+    }
+
+    const before = snapshot(poll);
+    if (poll.isAcceptingResponses()) {
+      poll.closedAt = new Date();
+    }
+    poll.status = 'archived';
+    poll.archivedAt = new Date();
+    await poll.save();
+    await syncSubmissionRetention(poll);
+
+    await recordAudit(req, { action: 'poll.archive', entityType: 'poll', entityId: poll._id, before, after: poll });
+
+    res.json({
+      message: 'Poll archived',
+      poll: withEffectiveStatus(poll)
+    });
+  } catch (error) {
+    console.error('Archive poll error:', error);
+    res.status(500).json({ message: 'Server error archiving poll' });
+  }
+});
+
 // @route   DELETE /api/polls/:id
 // @desc    Delete a poll
 // @access  Protected
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authorize('polls:delete'), async (req, res) => {
   try {
-    const poll = await Poll.findById(req.params.id);
+    const poll = await Poll.findOne({ _id: req.params.id, organization: req.organizationId });
 
     if (!poll) {
       return res.status(404).json({ message: 'Poll not found' });
     }
 
-    // Security: Check if the logged-in user owns this poll
-    if (poll.user.toString() !== req.user.id) {
-      return res.status(403).json({ message: 'Not authorized to delete this poll' });
-    }
+    await Submission.deleteMany({ poll: poll._id });
+    await PollTraffic.deleteMany({ poll: poll._id });
+    await PollInvitee.deleteMany({ poll: poll._id });
+    await poll.deleteOne();
+    notifyPollUpdated(poll._id);
 
-    await Poll.findByIdAndDelete(req.params.id);
+    await recordAudit(req, { action: 'poll.delete', entityType: 'poll', entityId: poll._id, before: poll });
 
     res.json({ message: 'Poll deleted successfully' });
   } catch (error) {
@@ -0,0 +1,234 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const Settings = require('../models/Settings');
+const { protect, requireSession } = require('../middleware/auth');
+const { hasPermission } = require('../lib/permissions');
+const { generateToken, hashToken } = require('../lib/tokens');
+const { clientUrl } = require('../lib/urls');
+const { sendMail } = require('../lib/mailer');
+const { revokeAllSessions } = require('../lib/sessions');
+const { pickBusinessInfo, syncBusinessInfo } = require('../lib/businessInfo');
+const { recordAudit, snapshot } = require('../lib/audit');
+
+const router = express.Router();
+
+const EMAIL_CHANGE_EXPIRE_HOURS = 24;
+const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const formatProfile = (user, organization) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  pendingEmail: user.pendingEmail,
+  role: user.role,
+  status: user.status,
+  businessName: user.businessName,
+  businessType: user.businessType,
+  twoFactorEnabled: user.twoFactorEnabled,
+  organization: organization ? {
+    id: organization._id,
+    name: organization.name,
+    slug: organization.slug
+  } : null,
+  createdAt: user.createdAt
+});
+
+// PUBLIC ROUTE - Must be before protect middleware
+// @route   POST /api/auth/me/email/verify
+// @desc    Confirm an email change with the token sent to the new address
+// @access  Public (requires a valid verification token)
+router.post('/email/verify', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ message: 'Please provide the verification token' });
+    }
+
+    const user = await User.findOne({
+      emailChangeTokenHash: hashToken(token),
+      emailChangeExpires: { $gt: new Date() }
+    });
+
+    if (!user || !user.pendingEmail) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+    }
+
+    // The address may have been taken since the change was requested
+    if (await User.exists({ email: user.pendingEmail, _id: { $ne: user._id } })) {
+      return res.status(400).json({ message: 'This email is already in use' });
+    }
+
+    const previousEmail = user.email;
+    user.email = user.pendingEmail;
+    user.pendingEmail = null;
+    user.emailChangeTokenHash = null;
+    user.emailChangeExpires = null;
+    await user.save();
+
+    // The login changed, so every session signs in again, like after a password change
+    await revokeAllSessions(user._id);
+
+    // The change is done either way; a failed notice is only logged
+    try {
+      await sendMail({
+        to: previousEmail,
+        subject: 'Your login email was changed',
+        text: `Hi ${user.name},\n\nThe login email of your account was changed to ${user.email}. You have been signed out everywhere.\n\nIf this wasn't you, contact your administrator right away.`
+      });
+    } catch (error) {
+      console.error('Email change notice error:', error);
+    }
+
+    res.json({ message: 'Email address updated. Please log in again.', email: user.email });
+  } catch (error) {
+    console.error('Verify email change error:', error);
+    res.status(500).json({ message: 'Server error verifying email' });
+  }
+});
+
+// Apply protect middleware to all routes below this point
+router.use(protect, requireSession);
+
+// @route   GET /api/auth/me
+// @desc    Get the logged-in user's profile
+// @access  Protected
+router.get('/', async (req, res) => {
+  res.json({ user: formatProfile(req.user, req.organization) });
+});
+
+// @route   PUT /api/auth/me
+// @desc    Update name and (with settings permission) business name/type
+// @access  Protected
+router.put('/', async (req, res) => {
+  try {
+    const { name, email } = req.body;
+    const businessInfo = pickBusinessInfo(req.body);
+
+    if (email !== undefined && email !== req.user.email) {
+      return res.status(400).json({ message: 'Use PUT /api/auth/me/email to change your email address' });
+    }
+
+    // Business info is shared by the whole business, so it follows the settings permission
+    if (Object.keys(businessInfo).length > 0 && !hasPermission(req.user.role, 'settings:write')) {
+      return res.status(403).json({ message: 'Only admins can change the business name or type' });
+    }
+
+    const user = await User.findById(req.user.id);
+
+    if (name !== undefined) {
+      if (!String(name).trim()) {
+        return res.status(400).json({ message: 'Name cannot be empty' });
+      }
+      user.name = String(name).trim().substring(0, 100);
+    }
+    Object.assign(user, businessInfo);
+    await user.save();
+
+    if (Object.keys(businessInfo).length > 0) {
+      const settingsBefore = snapshot(await Settings.findOne({ organization: req.organizationId }));
+      await syncBusinessInfo(req.organizationId, businessInfo);
+      const settingsAfter = await Settings.findOne({ organization: req.organizationId });
+
+      await recordAudit(req, {
+        action: 'settings.update',
+        entityType: 'settings',
+        entityId: settingsAfter ? settingsAfter._id : null,
+        before: settingsBefore,
+        after: settingsAfter,
+        metadata: { source: 'profile' }
+      });
+    }
+
+    res.json({
+      message: 'Profile updated successfully',
+      user: formatProfile(user, req.organization)
+    });
+  } catch (error) {
+    console.error('Update profile error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error updating profile' });
+  }
+});
+
+// @route   PUT /api/auth/me/email
+// @desc    Request an email change; the new address must be confirmed before it applies
+// @access  Protected
+router.put('/email', async (req, res) => {
+  try {
+    const { newEmail, password } = req.body;
+
+    if (!newEmail || !password) {
+      return res.status(400).json({ message: 'Please provide the new email and your password' });
+    }
+
+    const normalizedEmail = String(newEmail).trim().toLowerCase().substring(0, 100);
+    if (!emailRegex.test(normalizedEmail)) {
+      return res.status(400).json({ message: 'Invalid email format' });
+    }
+
+    const user = await User.findById(req.user.id);
+
+    const isMatch = await bcrypt.compare(password, user.password);
+    if (!isMatch) {
+      return res.status(401).json({ message: 'Incorrect password' });
+    }
+
+    if (normalizedEmail === user.email) {
+      return res.status(400).json({ message: 'This is already your email address' });
+    }
+
+    if (await User.exists({ email: normalizedEmail })) {
+      return res.status(400).json({ message: 'This email is already in use' });
+    }
+
+    const token = generateToken();
+    user.pendingEmail = normalizedEmail;
+    user.emailChangeTokenHash = hashToken(token);
+    user.emailChangeExpires = new Date(Date.now() + EMAIL_CHANGE_EXPIRE_HOURS * 60 * 60 * 1000);
+    await user.save();
+
+    const verifyUrl = clientUrl(`/verify-email?token=${token}`);
+    await sendMail({
+      to: normalizedEmail,
+      subject: 'Confirm your new email address',
+      text: `Hi ${user.name},\n\nPlease confirm your new email address within ${EMAIL_CHANGE_EXPIRE_HOURS} hours:\n\n${verifyUrl}\n\nIf you didn't request this, you can ignore this email.`
+    });
+    // Let the current address know, in case the account was taken over
+    await sendMail({
+      to: user.email,
+      subject: 'Email change requested',
+      text: `Hi ${user.name},\n\nA change of your login email to ${normalizedEmail} was requested. If this wasn't you, change your password and contact your administrator.`
+    });
+
+    res.json({
+      message: 'Check your new inbox to confirm the change',
+      pendingEmail: normalizedEmail
+    });
+  } catch (error) {
+    console.error('Change email error:', error);
+    res.status(500).json({ message: 'Server error changing email' });
+  }
+});
+
+// @route   DELETE /api/auth/me/email
+// @desc    Cancel a pending email change
+// @access  Protected
+router.delete('/email', async (req, res) => {
+  try {
+    await User.updateOne(
+      { _id: req.user._id },
+      { pendingEmail: null, emailChangeTokenHash: null, emailChangeExpires: null }
+    );
+
+    res.json({ message: 'Pending email change cancelled' });
+  } catch (error) {
+    console.error('Cancel email change error:', error);
+    res.status(500).json({ message: 'Server error cancelling email change' });
+  }
+});
+
+module.exports = router;
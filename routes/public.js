@@ -1,31 +1,199 @@
 const express = require('express');
 const Poll = require('../models/Poll');
 const Submission = require('../models/Submission');
+const PollInvitee = require('../models/PollInvitee');
+const { resolveTenant } = require('../middleware/tenant');
+const { validateAnswers } = require('../lib/pollValidation');
+const { subscribe, notifyPollUpdated } = require('../lib/liveResults');
+const { scoreAnswers, stripAnswerKey } = require('../lib/quiz');
+const { readTracking, recordVisit, recordSubmission } = require('../lib/pollTracking');
+const { readDeviceToken, ensureDeviceToken, dedupeMethod, buildDedupeKey, readParticipant } = require('../lib/submissionPolicy');
+const { isDuplicateKeyError } = require('../lib/dbErrors');
+const { signEditToken, verifyEditToken, readEditToken, buildEditUrl } = require('../lib/submissionTokens');
+const { sendMail } = require('../lib/mailer');
+const { findInviteeByToken, markResponded } = require('../lib/pollInvitations');
+const { claimCapacity, releaseCapacity, remainingCapacity } = require('../lib/pollQuotas');
+const { summarizePoll } = require('../lib/pollResults');
+const { checkResultsAccess, formatPublicResults } = require('../lib/publicResults');
+const { issueFormChallenge, checkForm, releaseFormCheck } = require('../lib/formProtection');
 
 const router = express.Router();
 
+// :pollId is the poll's id or its slug.
+// Every public route is scoped to the business resolved from the subdomain,
+// X-Tenant header or ?tenant= slug
+router.use(resolveTenant);
+
+// Drafts and archived polls are invisible to the public
+const HIDDEN_STATUSES = ['draft', 'archived'];
+
+// Repeated answers with a known address email the edit link at most once per this many minutes
+const EDIT_LINK_RESEND_MINUTES = parseInt(process.env.SUBMISSION_EDIT_LINK_RESEND_MINUTES) || 15;
+
+const findPublicPoll = async (req) => {
+  const poll = await Poll.findByIdOrSlug(req.params.pollId, req.organizationId);
+  return poll && !HIDDEN_STATUSES.includes(poll.getEffectiveStatus()) ? poll : null;
+};
+
+// 403 response for a poll that exists but isn't taking responses right now
+const rejectNotOpen = (res, poll) => {
+  const status = poll.getEffectiveStatus();
+  const full = status === 'closed' && poll.isAcceptingChanges();
+  res.status(403).json({
+    message: status === 'scheduled' ? 'This poll is not open yet' : (full ? 'This poll is full' : 'This poll is closed'),
+    status,
+    full,
+    opensAt: poll.opensAt
+  });
+};
+
+// 409 for answers that need a place when none is left
+const rejectNoCapacity = (res, claim) => {
+  if (claim.quota) {
+    return res.status(409).json({
+      message: `"${claim.quota.option}" is no longer available`,
+      code: 'OPTION_FULL',
+      ...claim.quota
+    });
+  }
+  res.status(409).json({ message: 'This poll is full', code: 'POLL_FULL' });
+};
+
+// Answers as plain { questionId, answer } pairs, before a submission is changed
+const plainAnswers = (submission) => submission.answers.map(({ questionId, answer }) => ({ questionId, answer }));
+
+// Signed link the participant can use to change or withdraw their submission
+const issueEditLink = (req, poll, submission) => {
+  const { token, expiresAt } = signEditToken(submission, poll);
+  return { editToken: token, editTokenExpiresAt: expiresAt, editUrl: buildEditUrl(poll, req.organization, token) };
+};
+
+// Emails the edit link to the address of an existing submission, unless it was sent within
+// EDIT_LINK_RESEND_MINUTES. The send is claimed with an atomic update, so repeated attempts
+// can't flood the participant's inbox. Returns true when an email went out.
+const emailEditLink = async (req, poll, dedupeKey) => {
+  const now = new Date();
+  const resendBefore = new Date(now.getTime() - EDIT_LINK_RESEND_MINUTES * 60 * 1000);
+  const existing = await Submission.findOneAndUpdate(
+    { poll: poll._id, dedupeKey, $or: [{ editLinkSentAt: null }, { editLinkSentAt: { $lte: resendBefore } }] },
+    { editLinkSentAt: now },
+    { new: false }
+  );
+  if (!existing) {
+    return false;
+  }
+
+  try {
+    const { editUrl } = issueEditLink(req, poll, existing);
+    await sendMail({
+      to: existing.participantEmail,
+      subject: `Your answers to "${poll.title}"`,
+      text: `Hi ${existing.participantName},\n\nSomeone tried to answer "${poll.title}" again with this email address. You can review, change or withdraw your answers here while the poll is open:\n\n${editUrl}\n\nIf this wasn't you, you can ignore this email.`
+    });
+    return true;
+  } catch (error) {
+    // Give the slot back so a later attempt can send the link
+    console.error('Edit link email error:', error);
+    await Submission.updateOne({ _id: existing._id, editLinkSentAt: now }, { editLinkSentAt: existing.editLinkSentAt });
+    return false;
+  }
+};
+
+// Resolves the submission named by the edit token, as long as its poll is still open.
+// Sends the error response and returns null otherwise.
+const findEditableSubmission = async (req, res) => {
+  const decoded = verifyEditToken(readEditToken(req));
+  if (!decoded) {
+    res.status(401).json({ message: 'This edit link is invalid or has expired' });
+    return null;
+  }
+
+  const submission = await Submission.findOne({ _id: decoded.submission, poll: decoded.poll, organization: req.organizationId });
+  const poll = submission && await Poll.findOne({ _id: submission.poll, organization: req.organizationId });
+
+  if (!submission || !poll || HIDDEN_STATUSES.includes(poll.getEffectiveStatus())) {
+    res.status(404).json({ message: 'Submission not found' });
+    return null;
+  }
+
+  if (!poll.isAcceptingChanges()) {
+    rejectNotOpen(res, poll);
+    return null;
+  }
+
+  return { poll, submission };
+};
+
+// What participants get to see of their own submission. A quiz score stays hidden while
+// the answers can still be changed, so it can't be used to find the answer key by trial.
+const formatOwnSubmission = (submission, poll) => {
+  const scoreVisible = !poll.isAcceptingChanges();
+  return {
+    id: submission._id,
+    participantName: submission.participantName,
+    participantEmail: submission.participantEmail,
+    participantPhone: submission.participantPhone,
+    answers: submission.answers,
+    consentAgreed: submission.consentAgreed,
+    score: scoreVisible ? submission.score : null,
+    maxScore: scoreVisible ? submission.maxScore : null,
+    submittedAt: submission.submittedAt,
+    editedAt: submission.editedAt
+  };
+};
+
 // @route   GET /api/public/poll/:pollId
 // @desc    Get a single poll's details for the public submission form
 // @access  Public
 router.get('/poll/:pollId', async (req, res) => {
   try {
-    const poll = await Poll.findById(req.params.pollId);
+    const poll = await findPublicPoll(req);
 
     if (!poll) {
       return res.status(404).json({ message: 'Poll not found or has expired' });
     }
 
-    // Return only the necessary information for the public form
+    const acceptingResponses = poll.isAcceptingResponses();
+
+    // Count the visit for the link's UTM source (not awaited, never fails the request)
+    recordVisit(poll, readTracking(req.query));
+
+    // Personal invitation link (?invite=): prefill the guest's details
+    const invitee = req.query.invite ? await findInviteeByToken(req.query.invite, poll) : null;
+
+    // Return only the necessary information for the public form.
+    // Questions are only shown while the poll is open.
     res.json({
       poll: {
         id: poll._id,
+        slug: poll.slug,
         title: poll.title,
         description: poll.description,
-        questions: poll.questions,
+        questions: acceptingResponses ? stripAnswerKey(poll.questions) : [],
+        isQuiz: poll.isQuiz,
+        status: poll.getEffectiveStatus(),
+        acceptingResponses,
+        opensAt: poll.opensAt,
         expireAt: poll.expireAt,
         consentEnabled: poll.consentEnabled || false,
-        consentText: poll.consentText || null
-      }
+        consentText: poll.consentText || null,
+        submissionPolicy: poll.submissionPolicy,
+        identityMode: poll.identityMode,
+        resultsVisibility: poll.resultsVisibility,
+        publicLiveResults: poll.publicLiveResults,
+        // Places left overall and per option, so full options can be shown as unavailable
+        full: poll.isFull(),
+        capacity: remainingCapacity(poll),
+        // Honeypot field, form token, proof-of-work puzzle and captcha to send back with the answers
+        protection: acceptingResponses ? issueFormChallenge(`poll:${poll._id}`, poll.formProtection) : null
+      },
+      ...(req.query.invite && {
+        invitation: invitee ? {
+          valid: true,
+          responded: invitee.responded,
+          ...(poll.identityMode !== 'anonymous' && { name: invitee.name, email: invitee.email })
+        } : { valid: false }
+      })
     });
   } catch (error) {
     console.error('Get public poll error:', error);
@@ -33,49 +201,204 @@ router.get('/poll/:pollId', async (req, res) => {
   }
 });
 
+// @route   GET /api/public/poll/:pollId/results
+// @desc    Aggregated results, as far as the poll's results visibility allows. Polls showing
+//          results after answering need the edit token (X-Edit-Token or ?token=) or device token.
+// @access  Public
+router.get('/poll/:pollId/results', async (req, res) => {
+  try {
+    const poll = await findPublicPoll(req);
+
+    if (!poll) {
+      return res.status(404).json({ message: 'Poll not found or has expired' });
+    }
+
+    const denied = await checkResultsAccess(req, poll);
+    if (denied) {
+      return res.status(403).json({ ...denied, resultsVisibility: poll.resultsVisibility });
+    }
+
+    const summary = await summarizePoll(poll);
+
+    res.json({
+      poll: {
+        id: poll._id,
+        slug: poll.slug,
+        title: poll.title,
+        status: poll.getEffectiveStatus()
+      },
+      ...formatPublicResults(poll, summary)
+    });
+  } catch (error) {
+    console.error('Get public results error:', error);
+    res.status(500).json({ message: 'Server error fetching results' });
+  }
+});
+
+// @route   GET /api/public/poll/:pollId/live
+// @desc    Live results stream (SSE) for polls that publish their live results, with the
+//          same aggregates and access rules as the results endpoint (edit token as ?token=)
+// @access  Public
+router.get('/poll/:pollId/live', async (req, res) => {
+  try {
+    const poll = await findPublicPoll(req);
+
+    if (!poll || !poll.publicLiveResults) {
+      return res.status(404).json({ message: 'Live results are not available for this poll' });
+    }
+
+    const denied = await checkResultsAccess(req, poll);
+    if (denied) {
+      return res.status(403).json({ ...denied, resultsVisibility: poll.resultsVisibility });
+    }
+
+    // Each push gets the reloaded poll, so changed settings apply at once and a visitor
+    // who loses access (results hidden again, poll withdrawn) is disconnected
+    await subscribe(req, res, poll, {
+      transform: ({ pollId, status, updatedAt, ...summary }, current) => ({ pollId, status, updatedAt, ...formatPublicResults(current, summary) }),
+      check: async (current) => current.publicLiveResults && !HIDDEN_STATUSES.includes(current.getEffectiveStatus()) &&
+        !await checkResultsAccess(req, current)
+    });
+  } catch (error) {
+    console.error('Public live results error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({ message: 'Server error opening live results' });
+  }
+});
+
 // @route   POST /api/public/submit/:pollId
 // @desc    Submit answers to a poll
 // @access  Public
 router.post('/submit/:pollId', async (req, res) => {
   try {
-    const { participantName, participantEmail, participantPhone, answers } = req.body;
-
-    // Validation
-    if (!participantName || !participantEmail) {
-      return res.status(400).json({ message: 'Please provide your name and email' });
-    }
+    const { answers } = req.body;
 
     if (!answers || !Array.isArray(answers)) {
       return res.status(400).json({ message: 'Please provide answers' });
     }
 
     // Find the parent poll
-    const poll = await Poll.findById(req.params.pollId);
+    const poll = await findPublicPoll(req);
 
     if (!poll) {
       return res.status(404).json({ message: 'Poll not found or has expired' });
     }
 
+    if (!poll.isAcceptingResponses()) {
+      return rejectNotOpen(res, poll);
+    }
+
+    // Personal invitation token, from the body or the ?invite= of the link
+    const inviteToken = req.body.inviteToken || req.query.invite;
+    const invitee = inviteToken ? await findInviteeByToken(inviteToken, poll) : null;
+    if (inviteToken && !invitee) {
+      return res.status(400).json({ message: 'This invitation link is invalid' });
+    }
+    if (invitee && invitee.responded) {
+      return res.status(409).json({ message: 'This invitation has already been used to answer the poll', code: 'ALREADY_RESPONDED' });
+    }
+
+    // Name and email as required by the poll's identity mode (never stored on anonymous polls).
+    // Invitees' details are prefilled from the guest list.
+    const identity = readParticipant(poll, req.body, invitee ? { participantName: invitee.name, participantEmail: invitee.email } : {});
+    if (identity.error) {
+      return res.status(400).json({ message: identity.error });
+    }
+    const { participant } = identity;
+
     // Check if consent is required and was provided
     const { consentAgreed } = req.body;
     if (poll.consentEnabled && !consentAgreed) {
       return res.status(400).json({ message: 'You must agree to the consent terms to submit this poll' });
     }
 
-    // Create submission with the same expireAt as the parent poll
-    const submission = await Submission.create({
-      poll: poll._id,
-      participantName,
-      participantEmail,
-      participantPhone: participantPhone || '',
-      answers,
-      consentAgreed: poll.consentEnabled ? consentAgreed : false,
-      expireAt: poll.expireAt // CRUCIAL: Same expiry as poll
-    });
+    // Check every answer against its question and normalize the values
+    const validation = validateAnswers(poll, answers);
+    if (validation.errors.length > 0) {
+      return res.status(400).json({ message: 'Some answers are invalid', errors: validation.errors });
+    }
+
+    const method = dedupeMethod(poll, { email: participant.participantEmail });
+    const deviceToken = method === 'device' ? ensureDeviceToken(req, res) : null;
+    // UTM tags from the share link, passed on the query string or as { tracking } in the body
+    const tracking = readTracking({ ...req.query, ...(req.body.tracking || {}) });
+
+    // Spam and bot protection enabled on the poll (the form token is given back if the submission fails)
+    const formCheck = await checkForm(req, `poll:${poll._id}`, poll.formProtection);
+    if (formCheck.error) {
+      const { status, ...rejection } = formCheck.error;
+      return res.status(status).json(rejection);
+    }
+
+    // Take a place under the response limit and option quotas, given back if the submission fails
+    const claim = await claimCapacity(poll, validation.answers);
+    if (claim.full || claim.quota) {
+      await releaseFormCheck(formCheck);
+      return rejectNoCapacity(res, claim);
+    }
+
+    // Only a failed create gives the places back: once stored, the submission holds them
+    let submission;
+    try {
+      // Create submission with the same retention as the parent poll
+      submission = await Submission.create({
+        poll: poll._id,
+        organization: poll.organization,
+        ...participant,
+        invitee: invitee && poll.identityMode !== 'anonymous' ? invitee._id : null,
+        answers: validation.answers,
+        ...scoreAnswers(poll, validation.answers),
+        tracking,
+        dedupeKey: buildDedupeKey(poll, { email: participant.participantEmail, deviceToken }),
+        consentAgreed: poll.consentEnabled ? consentAgreed : false,
+        purgeAt: poll.purgeAt // Deleted together with the poll
+      });
+    } catch (error) {
+      await releaseCapacity(poll, validation.answers);
+      await releaseFormCheck(formCheck);
+      if (!isDuplicateKeyError(error)) {
+        throw error;
+      }
+
+      // The unique (poll, dedupeKey) index rejected a second submission
+      const canUpdate = method === 'device';
+
+      // On one-per-email polls the edit link goes to the address, never into the response
+      const editLinkSent = method === 'email'
+        ? await emailEditLink(req, poll, buildDedupeKey(poll, { email: participant.participantEmail }))
+        : false;
+
+      return res.status(409).json({
+        message: canUpdate
+          ? 'You have already answered this poll. You can update your earlier answers instead.'
+          : 'This email address has already been used to answer this poll.'
+            + (editLinkSent ? ' We have emailed you a link to change your answers.' : ''),
+        code: 'DUPLICATE_SUBMISSION',
+        policy: poll.submissionPolicy,
+        canUpdate,
+        editLinkSent,
+        ...(canUpdate && { update: { method: 'PUT', url: `/api/public/submit/${poll._id}` } })
+      });
+    }
+
+    notifyPollUpdated(poll._id);
+    recordSubmission(poll, tracking);
+    if (invitee) {
+      // The answers are stored either way; the participant still gets their edit link
+      try {
+        await markResponded(invitee, poll, submission);
+      } catch (error) {
+        console.error('Mark invitee responded error:', error);
+      }
+    }
 
     res.status(201).json({
       message: 'Thank you for your submission!',
-      submission
+      submission: formatOwnSubmission(submission, poll),
+      ...issueEditLink(req, poll, submission),
+      ...(deviceToken && { deviceToken })
     });
   } catch (error) {
     console.error('Submit poll error:', error);
@@ -83,4 +406,213 @@ router.post('/submit/:pollId', async (req, res) => {
   }
 });
 
+// @route   PUT /api/public/submit/:pollId
+// @desc    Replace the answers this device submitted earlier (polls that detect duplicates by device)
+// @access  Public (device token)
+router.put('/submit/:pollId', async (req, res) => {
+  try {
+    const { answers } = req.body;
+
+    const poll = await findPublicPoll(req);
+
+    if (!poll) {
+      return res.status(404).json({ message: 'Poll not found or has expired' });
+    }
+
+    if (!poll.isAcceptingChanges()) {
+      return rejectNotOpen(res, poll);
+    }
+
+    // Identified one-per-email polls always key on the address, the others may have keyed on the device
+    const keyedByDevice = poll.submissionPolicy === 'device' || (poll.submissionPolicy === 'email' && poll.identityMode !== 'identified');
+    if (!keyedByDevice) {
+      return res.status(400).json({ message: 'Answers to this poll cannot be updated' });
+    }
+
+    const deviceToken = readDeviceToken(req);
+    if (!deviceToken) {
+      return res.status(400).json({ message: 'Device token is required' });
+    }
+
+    const submission = await Submission.findOne({
+      poll: poll._id,
+      dedupeKey: buildDedupeKey(poll, { deviceToken })
+    });
+
+    if (!submission) {
+      return res.status(404).json({ message: 'No earlier submission found for this device' });
+    }
+
+    const identity = readParticipant(poll, req.body, submission);
+    if (identity.error) {
+      return res.status(400).json({ message: identity.error });
+    }
+
+    const { consentAgreed } = req.body;
+    if (poll.consentEnabled && !consentAgreed) {
+      return res.status(400).json({ message: 'You must agree to the consent terms to submit this poll' });
+    }
+
+    const validation = validateAnswers(poll, answers);
+    if (validation.errors.length > 0) {
+      return res.status(400).json({ message: 'Some answers are invalid', errors: validation.errors });
+    }
+
+    // Options picked this time need a place, options no longer picked give theirs back
+    const previousAnswers = plainAnswers(submission);
+    const claim = await claimCapacity(poll, validation.answers, { previous: previousAnswers, responses: 0 });
+    if (claim.full || claim.quota) {
+      return rejectNoCapacity(res, claim);
+    }
+
+    Object.assign(submission, identity.participant);
+    submission.answers = validation.answers;
+    Object.assign(submission, scoreAnswers(poll, validation.answers));
+    submission.consentAgreed = poll.consentEnabled ? consentAgreed : false;
+    submission.editedAt = Date.now();
+
+    try {
+      await submission.save();
+    } catch (error) {
+      await releaseCapacity(poll, validation.answers, { previous: previousAnswers, responses: 0 });
+      throw error;
+    }
+    notifyPollUpdated(poll._id);
+
+    res.json({
+      message: 'Your answers have been updated',
+      submission: formatOwnSubmission(submission, poll),
+      ...issueEditLink(req, poll, submission)
+    });
+  } catch (error) {
+    console.error('Update submission error:', error);
+    res.status(500).json({ message: 'Server error updating submission' });
+  }
+});
+
+// @route   GET /api/public/submission
+// @desc    Get your own submission and its poll's form, for the edit page
+// @access  Public (edit token)
+router.get('/submission', async (req, res) => {
+  try {
+    const found = await findEditableSubmission(req, res);
+    if (!found) return;
+    const { poll, submission } = found;
+
+    res.json({
+      poll: {
+        id: poll._id,
+        slug: poll.slug,
+        title: poll.title,
+        description: poll.description,
+        questions: stripAnswerKey(poll.questions),
+        isQuiz: poll.isQuiz,
+        status: poll.getEffectiveStatus(),
+        expireAt: poll.expireAt,
+        consentEnabled: poll.consentEnabled || false,
+        consentText: poll.consentText || null,
+        identityMode: poll.identityMode
+      },
+      submission: formatOwnSubmission(submission, poll)
+    });
+  } catch (error) {
+    console.error('Get own submission error:', error);
+    res.status(500).json({ message: 'Server error fetching submission' });
+  }
+});
+
+// @route   PUT /api/public/submission
+// @desc    Change your own submission while the poll is open
+// @access  Public (edit token)
+router.put('/submission', async (req, res) => {
+  try {
+    const found = await findEditableSubmission(req, res);
+    if (!found) return;
+    const { poll, submission } = found;
+
+    const { answers, consentAgreed } = req.body;
+
+    if (!answers || !Array.isArray(answers)) {
+      return res.status(400).json({ message: 'Please provide answers' });
+    }
+
+    const identity = readParticipant(poll, req.body, submission);
+    if (identity.error) {
+      return res.status(400).json({ message: identity.error });
+    }
+
+    // Consent is given again with every change
+    if (poll.consentEnabled && !consentAgreed) {
+      return res.status(400).json({ message: 'You must agree to the consent terms to submit this poll' });
+    }
+
+    const validation = validateAnswers(poll, answers);
+    if (validation.errors.length > 0) {
+      return res.status(400).json({ message: 'Some answers are invalid', errors: validation.errors });
+    }
+
+    const previousAnswers = plainAnswers(submission);
+    const claim = await claimCapacity(poll, validation.answers, { previous: previousAnswers, responses: 0 });
+    if (claim.full || claim.quota) {
+      return rejectNoCapacity(res, claim);
+    }
+
+    Object.assign(submission, identity.participant);
+    submission.answers = validation.answers;
+    Object.assign(submission, scoreAnswers(poll, validation.answers));
+    submission.consentAgreed = poll.consentEnabled ? consentAgreed : false;
+    submission.editedAt = Date.now();
+    // One submission per address: a changed address must not be taken already
+    if (dedupeMethod(poll, { email: submission.participantEmail }) === 'email') {
+      submission.dedupeKey = buildDedupeKey(poll, { email: submission.participantEmail });
+    }
+
+    try {
+      await submission.save();
+    } catch (error) {
+      await releaseCapacity(poll, validation.answers, { previous: previousAnswers, responses: 0 });
+      if (!isDuplicateKeyError(error)) {
+        throw error;
+      }
+      return res.status(409).json({
+        message: 'This email address has already been used to answer this poll.',
+        code: 'DUPLICATE_SUBMISSION',
+        policy: poll.submissionPolicy
+      });
+    }
+
+    notifyPollUpdated(poll._id);
+
+    res.json({
+      message: 'Your answers have been updated',
+      submission: formatOwnSubmission(submission, poll)
+    });
+  } catch (error) {
+    console.error('Edit own submission error:', error);
+    res.status(500).json({ message: 'Server error updating submission' });
+  }
+});
+
+// @route   DELETE /api/public/submission
+// @desc    Withdraw your own submission while the poll is open
+// @access  Public (edit token)
+router.delete('/submission', async (req, res) => {
+  try {
+    const found = await findEditableSubmission(req, res);
+    if (!found) return;
+    const { poll, submission } = found;
+
+    await submission.deleteOne();
+    await releaseCapacity(poll, plainAnswers(submission));
+    // Back on the pending list, so reminders resume
+    await PollInvitee.updateOne({ submission: submission._id }, { responded: false, respondedAt: null, submission: null });
+    notifyPollUpdated(poll._id);
+
+    res.json({ message: 'Your submission has been withdrawn' });
+  } catch (error) {
+    console.error('Withdraw submission error:', error);
+    res.status(500).json({ message: 'Server error withdrawing submission' });
+  }
+});
+
 module.exports = router;
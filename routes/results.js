@@ -1,12 +1,224 @@
 const express = require('express');
 const Poll = require('../models/Poll');
 const Submission = require('../models/Submission');
-const { protect } = require('../middleware/auth');
+const { protect, authorize, accessGrant, checkAccessGrant } = require('../middleware/auth');
+const { INTERVALS, summarizePoll } = require('../lib/pollResults');
+const { parseExportOptions, buildColumns, streamExport } = require('../lib/resultsExport');
+const { subscribe, signLiveTicket, verifyLiveTicket } = require('../lib/liveResults');
 
 const router = express.Router();
 
+// Submission fields never shown for anonymous polls
+const IDENTITY_FIELDS = '-participantName -participantEmail -participantPhone -dedupeKey';
+const isAnonymous = (poll) => poll.identityMode === 'anonymous';
+
+// Streams the live results, or reports the error if the stream hasn't started yet.
+// The grant is checked again before every push, so a revoked session or key, a disabled
+// user or a lost permission ends the stream.
+const openLiveStream = async (req, res, poll, grant) => {
+  try {
+    await subscribe(req, res, poll, { check: () => checkAccessGrant(grant, 'results:read') });
+  } catch (error) {
+    console.error('Live results error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({ message: 'Server error opening live results' });
+  }
+};
+
+// @route   GET /api/results/:pollId/live?ticket=
+// @desc    Live results stream (SSE) for EventSource clients, authenticated with a ticket
+//          from POST /api/results/:pollId/live-ticket. Requests without a ticket fall
+//          through to the header-authenticated route below.
+// @access  Protected (ticket)
+router.get('/:pollId/live', async (req, res, next) => {
+  if (!req.query.ticket) {
+    return next('route');
+  }
+
+  try {
+    const ticket = verifyLiveTicket(req.query.ticket, req.params.pollId);
+    if (!ticket || !await checkAccessGrant(ticket, 'results:read')) {
+      return res.status(401).json({ message: 'Invalid or expired live results ticket' });
+    }
+
+    const poll = await Poll.findOne({ _id: req.params.pollId, organization: ticket.organization });
+    if (!poll) {
+      return res.status(404).json({ message: 'Poll not found or has expired' });
+    }
+
+    await openLiveStream(req, res, poll, ticket);
+  } catch (error) {
+    console.error('Live results error:', error);
+    res.status(500).json({ message: 'Server error opening live results' });
+  }
+});
+
 // Apply protect middleware to all routes
-router.use(protect);
+router.use(protect, authorize('results:read'));
+
+// @route   POST /api/results/:pollId/live-ticket
+// @desc    Issue a one-minute ticket for opening the live results stream with EventSource
+// @access  Protected
+router.post('/:pollId/live-ticket', async (req, res) => {
+  try {
+    const poll = await Poll.findOne({ _id: req.params.pollId, organization: req.organizationId });
+
+    if (!poll) {
+      return res.status(404).json({ message: 'Poll not found or has expired' });
+    }
+
+    res.json({
+      ticket: signLiveTicket(poll, accessGrant(req)),
+      url: `/api/results/${poll._id}/live`
+    });
+  } catch (error) {
+    console.error('Live ticket error:', error);
+    res.status(500).json({ message: 'Server error issuing live results ticket' });
+  }
+});
+
+// @route   GET /api/results/:pollId/live
+// @desc    Live results stream (SSE): a "results" event with the summary on connect and
+//          after every new submission, plus heartbeat comments
+// @access  Protected
+router.get('/:pollId/live', async (req, res) => {
+  try {
+    const poll = await Poll.findOne({ _id: req.params.pollId, organization: req.organizationId });
+
+    if (!poll) {
+      return res.status(404).json({ message: 'Poll not found or has expired' });
+    }
+
+    await openLiveStream(req, res, poll, accessGrant(req));
+  } catch (error) {
+    console.error('Live results error:', error);
+    res.status(500).json({ message: 'Server error opening live results' });
+  }
+});
+
+// @route   GET /api/results/:pollId/summary
+// @desc    Per-question counts, percentages, averages and responses over time
+//          (?interval=hour|day|week|month, default day)
+// @access  Protected
+router.get('/:pollId/summary', async (req, res) => {
+  try {
+    const interval = req.query.interval || 'day';
+    if (!INTERVALS.includes(interval)) {
+      return res.status(400).json({ message: `Interval must be one of: ${INTERVALS.join(', ')}` });
+    }
+
+    const poll = await Poll.findOne({ _id: req.params.pollId, organization: req.organizationId });
+
+    if (!poll) {
+      return res.status(404).json({ message: 'Poll not found or has expired' });
+    }
+
+    const summary = await summarizePoll(poll, { interval });
+
+    res.json({
+      poll: {
+        id: poll._id,
+        title: poll.title,
+        createdAt: poll.createdAt,
+        status: poll.getEffectiveStatus(),
+        opensAt: poll.opensAt,
+        expireAt: poll.expireAt,
+        closedAt: poll.closedAt
+      },
+      interval,
+      ...summary
+    });
+  } catch (error) {
+    console.error('Get results summary error:', error);
+    res.status(500).json({ message: 'Server error fetching results summary' });
+  }
+});
+
+// @route   GET /api/results/:pollId/leaderboard
+// @desc    Quiz ranking: highest score first, earlier answers win ties; a changed submission
+//          counts from its last change (?limit=, default 50)
+// @access  Protected
+router.get('/:pollId/leaderboard', async (req, res) => {
+  try {
+    const poll = await Poll.findOne({ _id: req.params.pollId, organization: req.organizationId });
+
+    if (!poll) {
+      return res.status(404).json({ message: 'Poll not found or has expired' });
+    }
+
+    if (!poll.isQuiz) {
+      return res.status(400).json({ message: 'This poll is not a quiz' });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+    const filter = { poll: poll._id, score: { $ne: null } };
+
+    const [entries, totalParticipants] = await Promise.all([
+      Submission.aggregate([
+        { $match: filter },
+        { $addFields: { answeredAt: { $ifNull: ['$editedAt', '$submittedAt'] } } },
+        { $sort: { score: -1, answeredAt: 1, _id: 1 } },
+        { $limit: limit },
+        { $project: { score: 1, maxScore: 1, submittedAt: 1, editedAt: 1, ...(!isAnonymous(poll) && { participantName: 1 }) } }
+      ]),
+      Submission.countDocuments(filter)
+    ]);
+
+    res.json({
+      poll: { id: poll._id, title: poll.title },
+      totalParticipants,
+      leaderboard: entries.map((entry, index) => ({
+        rank: index + 1,
+        submissionId: entry._id,
+        participantName: isAnonymous(poll) ? null : entry.participantName,
+        score: entry.score,
+        maxScore: entry.maxScore,
+        submittedAt: entry.submittedAt,
+        editedAt: entry.editedAt
+      }))
+    });
+  } catch (error) {
+    console.error('Get leaderboard error:', error);
+    res.status(500).json({ message: 'Server error fetching leaderboard' });
+  }
+});
+
+// @route   GET /api/results/:pollId/export
+// @desc    Download submissions as CSV or XLSX, one row per submission
+//          (?format=csv|xlsx&from=&to=&questions=id1,id2&timezone=Europe/Paris)
+// @access  Protected
+router.get('/:pollId/export', async (req, res) => {
+  try {
+    const poll = await Poll.findOne({ _id: req.params.pollId, organization: req.organizationId });
+
+    if (!poll) {
+      return res.status(404).json({ message: 'Poll not found or has expired' });
+    }
+
+    const options = parseExportOptions(poll, req.query);
+    if (options.error) {
+      return res.status(400).json({ message: options.error });
+    }
+
+    const cursor = Submission.find(options.filter).sort({ submittedAt: 1 }).cursor();
+
+    await streamExport(res, {
+      format: options.format,
+      title: poll.title,
+      cursor,
+      columns: buildColumns(options.questions, options.timezone, { includeScore: poll.isQuiz, includeIdentity: !isAnonymous(poll) })
+    });
+  } catch (error) {
+    console.error('Export results error:', error);
+    // Once the download has started the only option is to abort it
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ message: 'Server error exporting results' });
+  }
+});
 
 // @route   GET /api/results/:pollId
 // @desc    Get poll results (poll details + all submissions)
@@ -14,27 +226,28 @@ router.use(protect);
 router.get('/:pollId', async (req, res) => {
   try {
     // Fetch the poll
-    const poll = await Poll.findById(req.params.pollId);
+    const poll = await Poll.findOne({ _id: req.params.pollId, organization: req.organizationId });
 
     if (!poll) {
       return res.status(404).json({ message: 'Poll not found or has expired' });
     }
 
-    // Security: Verify the logged-in user is the owner of the poll
-    if (poll.user.toString() !== req.user.id) {
-      return res.status(403).json({ message: 'Not authorized to view these results' });
-    }
-
     // Fetch all submissions for this poll
-    const submissions = await Submission.find({ poll: req.params.pollId }).sort({ submittedAt: -1 });
+    const submissions = await Submission.find({ poll: req.params.pollId })
+      .select(isAnonymous(poll) ? IDENTITY_FIELDS : '')
+      .sort({ submittedAt: -1 });
 
     res.json({
       poll: {
         id: poll._id,
         title: poll.title,
         questions: poll.questions,
+        identityMode: poll.identityMode,
         createdAt: poll.createdAt,
-        expireAt: poll.expireAt
+        status: poll.getEffectiveStatus(),
+        opensAt: poll.opensAt,
+        expireAt: poll.expireAt,
+        closedAt: poll.closedAt
       },
       submissions,
       totalSubmissions: submissions.length
@@ -1,17 +1,20 @@
 const express = require('express');
 const Settings = require('../models/Settings');
-const { protect } = require('../middleware/auth');
+const { protect, authorize } = require('../middleware/auth');
+const { optionalTenant } = require('../middleware/tenant');
+const { recordAudit, snapshot } = require('../lib/audit');
+const { pickBusinessInfo, syncBusinessInfo } = require('../lib/businessInfo');
 
 const router = express.Router();
 
 // @route   GET /api/settings
 // @desc    Get site settings (public)
 // @access  Public
-router.get('/', async (req, res) => {
+router.get('/', optionalTenant, async (req, res) => {
   try {
-    const settings = await Settings.getSiteSettings();
+    const settings = req.organizationId ? await Settings.getSiteSettings(req.organizationId) : null;
     
-    // If no settings exist, return default values (don't create in DB)
+    // If no business or settings exist, return default values (don't create in DB)
     if (!settings) {
       return res.json({
         businessName: 'MyEvents',
@@ -51,24 +54,17 @@ router.get('/', async (req, res) => {
 // @route   PUT /api/settings
 // @desc    Update site settings
 // @access  Private (Admin only)
-router.put('/', protect, async (req, res) => {
+router.put('/', protect, authorize('settings:write'), async (req, res) => {
   try {
-    // Check if user is admin
-    const User = require('../models/User');
-    const user = await User.findById(req.user.id);
-    
-    if (!user || user.role !== 'admin') {
-      return res.status(403).json({ message: 'Access denied. Admin only.' });
-    }
-
-    let settings = await Settings.findOne();
+    let settings = await Settings.findOne({ organization: req.organizationId });
+    const before = snapshot(settings);
     
     if (!settings) {
-      settings = new Settings(req.body);
+      settings = new Settings({ ...req.body, organization: req.organizationId });
     } else {
-      // Update fields
+      // Update fields (settings can't be moved to another business)
       Object.keys(req.body).forEach(key => {
-        if (req.body[key] !== undefined) {
+        if (req.body[key] !== undefined && key !== 'organization' && key !== '_id') {
           settings[key] = req.body[key];
         }
       });
@@ -77,6 +73,11 @@ router.put('/', protect, async (req, res) => {
     settings.updatedAt = Date.now();
     await settings.save();
 
+    // Keep the copies on the business and its users in sync
+    await syncBusinessInfo(req.organizationId, pickBusinessInfo(req.body));
+
+    await recordAudit(req, { action: 'settings.update', entityType: 'settings', entityId: settings._id, before, after: settings });
+
     res.json({
       message: 'Settings updated successfully',
       settings
@@ -89,15 +90,17 @@ router.put('/', protect, async (req, res) => {
 
 // @route   POST /api/settings/initialize
 // @desc    Initialize settings with business info from setup
-// @access  Private
-router.post('/initialize', protect, async (req, res) => {
+// @access  Private (Admin only)
+router.post('/initialize', protect, authorize('settings:write'), async (req, res) => {
   try {
     const { businessName, businessType } = req.body;
 
-    let settings = await Settings.findOne();
+    let settings = await Settings.findOne({ organization: req.organizationId });
+    const before = snapshot(settings);
     
     if (!settings) {
       settings = new Settings({
+        organization: req.organizationId,
         businessName,
         businessType,
         isInitialized: true,
@@ -114,6 +117,10 @@ router.post('/initialize', protect, async (req, res) => {
 
     await settings.save();
 
+    await syncBusinessInfo(req.organizationId, pickBusinessInfo(settings));
+
+    await recordAudit(req, { action: 'settings.initialize', entityType: 'settings', entityId: settings._id, before, after: settings });
+
     res.json({
       message: 'Settings initialized successfully',
       settings
@@ -0,0 +1,339 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const { protect, authorize } = require('../middleware/auth');
+const { ROLES, getRolePermissions } = require('../lib/permissions');
+const { generateToken, hashToken } = require('../lib/tokens');
+const { clientUrl } = require('../lib/urls');
+const { createSession, revokeAllSessions } = require('../lib/sessions');
+const { recordAudit } = require('../lib/audit');
+
+const router = express.Router();
+
+const INVITE_EXPIRE_HOURS = parseInt(process.env.INVITE_EXPIRE_HOURS) || 72;
+
+const formatMember = (user, organization) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  status: user.status,
+  isOwner: Boolean(organization.owner && organization.owner.equals(user._id)),
+  invitedBy: user.invitedBy,
+  inviteExpires: user.status === 'invited' ? user.inviteExpires : null,
+  createdAt: user.createdAt
+});
+
+// Find a member of the logged-in admin's business (never the business owner)
+const findTeamMember = (req) => User.findOne({
+  _id: { $eq: req.params.id, $ne: req.organization.owner },
+  organization: req.organizationId
+});
+
+// PUBLIC ROUTE - Must be before protect middleware
+// @route   POST /api/team/accept-invite
+// @desc    Accept a team invitation and set a password
+// @access  Public (requires a valid invitation token)
+router.post('/accept-invite', async (req, res) => {
+  try {
+    const { token, name, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ message: 'Please provide the invitation token and a password' });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({ message: 'Password must be at least 6 characters' });
+    }
+
+    const user = await User.findOne({
+      inviteTokenHash: hashToken(token),
+      inviteExpires: { $gt: new Date() },
+      status: 'invited'
+    });
+
+    if (!user) {
+      return res.status(400).json({ message: 'Invitation is invalid or has expired' });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    user.password = await bcrypt.hash(password, salt);
+    if (name) {
+      user.name = name.trim().substring(0, 100);
+    }
+    user.status = 'active';
+    user.isSetupComplete = true;
+    user.inviteTokenHash = null;
+    user.inviteExpires = null;
+    await user.save();
+
+    const { token: authToken, refreshToken } = await createSession(user, req);
+
+    res.json({
+      message: 'Invitation accepted',
+      token: authToken,
+      refreshToken,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role
+      }
+    });
+  } catch (error) {
+    console.error('Accept invite error:', error);
+    res.status(500).json({ message: 'Server error accepting invitation' });
+  }
+});
+
+// Apply protect middleware to all routes below this point (admin only)
+router.use(protect, authorize('team:manage'));
+
+// @route   GET /api/team
+// @desc    List everyone in the business, including the owner
+// @access  Protected (Admin only)
+router.get('/', async (req, res) => {
+  try {
+    const members = await User.find({ organization: req.organizationId })
+      .select('-password')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      members: members.map(member => formatMember(member, req.organization))
+    });
+  } catch (error) {
+    console.error('Get team error:', error);
+    res.status(500).json({ message: 'Server error fetching team' });
+  }
+});
+
+// @route   GET /api/team/roles
+// @desc    List available roles and the permissions each one grants
+// @access  Protected (Admin only)
+router.get('/roles', (req, res) => {
+  res.json({
+    success: true,
+    roles: ROLES.map(role => ({ role, permissions: getRolePermissions(role) }))
+  });
+});
+
+// @route   POST /api/team/invite
+// @desc    Invite a new team member
+// @access  Protected (Admin only)
+router.post('/invite', async (req, res) => {
+  try {
+    const { name, email, role } = req.body;
+
+    if (!email || !role) {
+      return res.status(400).json({ message: 'Please provide an email and a role' });
+    }
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    const normalizedEmail = email.trim().toLowerCase();
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(normalizedEmail)) {
+      return res.status(400).json({ message: 'Invalid email format' });
+    }
+
+    const existing = await User.findOne({ email: normalizedEmail });
+    if (existing) {
+      return res.status(400).json({ message: 'A user with this email already exists' });
+    }
+
+    const token = generateToken();
+    const member = await User.create({
+      name: (name || normalizedEmail.split('@')[0]).trim().substring(0, 100),
+      email: normalizedEmail,
+      role,
+      status: 'invited',
+      organization: req.organizationId,
+      invitedBy: req.user._id,
+      inviteTokenHash: hashToken(token),
+      inviteExpires: new Date(Date.now() + INVITE_EXPIRE_HOURS * 60 * 60 * 1000)
+    });
+
+    await recordAudit(req, {
+      action: 'user.invite',
+      entityType: 'user',
+      entityId: member._id,
+      after: { email: member.email, role: member.role, status: member.status }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation created',
+      member: formatMember(member, req.organization),
+      inviteUrl: clientUrl(`/accept-invite?token=${token}`)
+    });
+  } catch (error) {
+    console.error('Invite team member error:', error);
+    res.status(500).json({ message: 'Server error inviting team member' });
+  }
+});
+
+// @route   POST /api/team/:id/resend-invite
+// @desc    Issue a fresh invitation link for a pending member
+// @access  Protected (Admin only)
+router.post('/:id/resend-invite', async (req, res) => {
+  try {
+    const member = await findTeamMember(req);
+
+    if (!member) {
+      return res.status(404).json({ message: 'Team member not found' });
+    }
+
+    if (member.status !== 'invited') {
+      return res.status(400).json({ message: 'This member has already accepted the invitation' });
+    }
+
+    const token = generateToken();
+    member.inviteTokenHash = hashToken(token);
+    member.inviteExpires = new Date(Date.now() + INVITE_EXPIRE_HOURS * 60 * 60 * 1000);
+    await member.save();
+
+    res.json({
+      success: true,
+      member: formatMember(member, req.organization),
+      inviteUrl: clientUrl(`/accept-invite?token=${token}`)
+    });
+  } catch (error) {
+    console.error('Resend invite error:', error);
+    res.status(500).json({ message: 'Server error resending invitation' });
+  }
+});
+
+// @route   PUT /api/team/:id/role
+// @desc    Change a team member's role
+// @access  Protected (Admin only)
+router.put('/:id/role', async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({ message: 'You cannot change your own role' });
+    }
+
+    const member = await findTeamMember(req);
+
+    if (!member) {
+      return res.status(404).json({ message: 'Team member not found' });
+    }
+
+    const previousRole = member.role;
+    member.role = role;
+    await member.save();
+
+    await recordAudit(req, {
+      action: 'user.role_change',
+      entityType: 'user',
+      entityId: member._id,
+      before: { email: member.email, role: previousRole },
+      after: { email: member.email, role }
+    });
+
+    res.json({
+      success: true,
+      member: formatMember(member, req.organization)
+    });
+  } catch (error) {
+    console.error('Change role error:', error);
+    res.status(500).json({ message: 'Server error changing role' });
+  }
+});
+
+// @route   PUT /api/team/:id/deactivate
+// @desc    Deactivate a team member (or revoke a pending invitation)
+// @access  Protected (Admin only)
+router.put('/:id/deactivate', async (req, res) => {
+  try {
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({ message: 'You cannot deactivate your own account' });
+    }
+
+    const member = await findTeamMember(req);
+
+    if (!member) {
+      return res.status(404).json({ message: 'Team member not found' });
+    }
+
+    // A pending invitation has no account behind it yet, so revoking it just removes it
+    if (member.status === 'invited') {
+      await member.deleteOne();
+      await recordAudit(req, {
+        action: 'user.invite_revoke',
+        entityType: 'user',
+        entityId: member._id,
+        before: { email: member.email, role: member.role, status: member.status }
+      });
+      return res.json({
+        success: true,
+        message: 'Invitation revoked'
+      });
+    }
+
+    member.status = 'deactivated';
+    await member.save();
+    await recordAudit(req, {
+      action: 'user.deactivate',
+      entityType: 'user',
+      entityId: member._id,
+      before: { email: member.email, status: 'active' },
+      after: { email: member.email, status: member.status }
+    });
+    await revokeAllSessions(member._id);
+
+    res.json({
+      success: true,
+      member: formatMember(member, req.organization)
+    });
+  } catch (error) {
+    console.error('Deactivate member error:', error);
+    res.status(500).json({ message: 'Server error deactivating team member' });
+  }
+});
+
+// @route   PUT /api/team/:id/reactivate
+// @desc    Reactivate a previously deactivated team member
+// @access  Protected (Admin only)
+router.put('/:id/reactivate', async (req, res) => {
+  try {
+    const member = await findTeamMember(req);
+
+    if (!member) {
+      return res.status(404).json({ message: 'Team member not found' });
+    }
+
+    if (member.status !== 'deactivated') {
+      return res.status(400).json({ message: 'Team member is not deactivated' });
+    }
+
+    member.status = 'active';
+    await member.save();
+
+    await recordAudit(req, {
+      action: 'user.reactivate',
+      entityType: 'user',
+      entityId: member._id,
+      before: { email: member.email, status: 'deactivated' },
+      after: { email: member.email, status: member.status }
+    });
+
+    res.json({
+      success: true,
+      member: formatMember(member, req.organization)
+    });
+  } catch (error) {
+    console.error('Reactivate member error:', error);
+    res.status(500).json({ message: 'Server error reactivating team member' });
+  }
+});
+
+module.exports = router;
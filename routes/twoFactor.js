@@ -0,0 +1,277 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const QRCode = require('qrcode');
+const Settings = require('../models/Settings');
+const { protect, requireSession } = require('../middleware/auth');
+const { generateSecret, verifyTotp, buildOtpauthUri } = require('../lib/totp');
+const {
+  findUserWithTwoFactor,
+  generateRecoveryCodes,
+  verifySecondFactor,
+  verifyChallengeToken
+} = require('../lib/twoFactor');
+const { createSession } = require('../lib/sessions');
+const { getLockStatus, recordFailedLogin, recordSuccessfulLogin } = require('../lib/loginSecurity');
+
+const router = express.Router();
+
+// PUBLIC ROUTE - Must be before protect middleware
+// @route   POST /api/auth/2fa/verify
+// @desc    Complete a login that returned a 2FA challenge
+// @access  Public (requires a valid challenge token)
+router.post('/verify', async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ message: 'Please provide the challenge token and a code' });
+    }
+
+    const challenge = verifyChallengeToken(challengeToken);
+    if (!challenge) {
+      return res.status(401).json({ message: 'Login challenge is invalid or has expired. Please log in again.' });
+    }
+
+    const user = await findUserWithTwoFactor(challenge.id);
+    if (!user || user.status !== 'active') {
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+
+    // Codes are only 6 digits, so the 2FA step shares the login lockout
+    const lock = await getLockStatus(user.email, req.ip);
+    if (lock.locked) {
+      res.set('Retry-After', String(lock.retryAfter));
+      return res.status(429).json({
+        message: 'Too many failed login attempts. Please try again later.',
+        retryAfter: lock.retryAfter
+      });
+    }
+
+    const method = await verifySecondFactor(user, { code, recoveryCode });
+    if (!method) {
+      await recordFailedLogin({ req, email: user.email, user, reason: '2fa_failed' });
+      return res.status(401).json({ message: 'Invalid two-factor code' });
+    }
+
+    await recordSuccessfulLogin(user, req);
+
+    const { token, refreshToken } = await createSession(user, req, { twoFactorVerified: true });
+
+    res.json({
+      message: 'Login successful',
+      token,
+      refreshToken,
+      recoveryCodesRemaining: user.twoFactorRecoveryCodes.length,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role
+      }
+    });
+  } catch (error) {
+    console.error('2FA verify error:', error);
+    res.status(500).json({ message: 'Server error verifying two-factor code' });
+  }
+});
+
+// Apply protect middleware to all routes below this point
+router.use(protect, requireSession);
+
+// @route   GET /api/auth/2fa/status
+// @desc    Get the logged-in user's 2FA status
+// @access  Protected
+router.get('/status', async (req, res) => {
+  try {
+    const user = await findUserWithTwoFactor(req.user.id);
+
+    res.json({
+      enabled: user.twoFactorEnabled,
+      recoveryCodesRemaining: user.twoFactorEnabled ? user.twoFactorRecoveryCodes.length : 0
+    });
+  } catch (error) {
+    console.error('2FA status error:', error);
+    res.status(500).json({ message: 'Server error fetching two-factor status' });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start enrollment: returns an otpauth URI and QR code for an authenticator app
+// @access  Protected
+router.post('/setup', async (req, res) => {
+  try {
+    const user = await findUserWithTwoFactor(req.user.id);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const settings = await Settings.getSiteSettings(req.organizationId);
+    const issuer = (settings && settings.businessName) || req.organization.name || 'EventPro';
+
+    const secret = generateSecret();
+    user.twoFactorPendingSecret = secret;
+    await user.save();
+
+    const otpauthUri = buildOtpauthUri({ secret, accountName: user.email, issuer });
+    const qrCode = await QRCode.toDataURL(otpauthUri, {
+      width: 300,
+      margin: 2
+    });
+
+    res.json({
+      secret,
+      otpauthUri,
+      qrCode
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({ message: 'Server error starting two-factor setup' });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Finish enrollment by verifying a code; returns one-time recovery codes
+// @access  Protected
+router.post('/enable', async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await findUserWithTwoFactor(req.user.id);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({ message: 'Please start two-factor setup first' });
+    }
+
+    const step = verifyTotp(user.twoFactorPendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid two-factor code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = null;
+    user.twoFactorEnabled = true;
+    user.twoFactorRecoveryCodes = hashes;
+    user.twoFactorLastStep = step;
+    await user.save();
+
+    // The current session has just proven possession of the second factor
+    req.authSession.twoFactorVerifiedAt = new Date();
+    await req.authSession.save();
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe.',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({ message: 'Server error enabling two-factor authentication' });
+  }
+});
+
+// @route   POST /api/auth/2fa/confirm
+// @desc    Step-up check before a destructive action (delete account, import backup)
+// @access  Protected
+router.post('/confirm', async (req, res) => {
+  try {
+    const { code, recoveryCode } = req.body;
+    const user = await findUserWithTwoFactor(req.user.id);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    const method = await verifySecondFactor(user, { code, recoveryCode });
+    if (!method) {
+      return res.status(401).json({ message: 'Invalid two-factor code' });
+    }
+
+    req.authSession.twoFactorVerifiedAt = new Date();
+    await req.authSession.save();
+
+    res.json({
+      message: 'Two-factor check passed',
+      verifiedAt: req.authSession.twoFactorVerifiedAt,
+      recoveryCodesRemaining: user.twoFactorRecoveryCodes.length
+    });
+  } catch (error) {
+    console.error('2FA confirm error:', error);
+    res.status(500).json({ message: 'Server error verifying two-factor code' });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace all recovery codes (requires a current TOTP code)
+// @access  Protected
+router.post('/recovery-codes', async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await findUserWithTwoFactor(req.user.id);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!await verifySecondFactor(user, { code })) {
+      return res.status(401).json({ message: 'Invalid two-factor code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactorRecoveryCodes = hashes;
+    await user.save();
+
+    res.json({
+      message: 'New recovery codes generated. Previous codes no longer work.',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    console.error('2FA recovery codes error:', error);
+    res.status(500).json({ message: 'Server error generating recovery codes' });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off 2FA (requires password and a code)
+// @access  Protected
+router.post('/disable', async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password) {
+      return res.status(400).json({ message: 'Please provide your password' });
+    }
+
+    const user = await findUserWithTwoFactor(req.user.id);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    const isMatch = await bcrypt.compare(password, user.password);
+    if (!isMatch) {
+      return res.status(401).json({ message: 'Incorrect password' });
+    }
+
+    if (!await verifySecondFactor(user, { code, recoveryCode })) {
+      return res.status(401).json({ message: 'Invalid two-factor code' });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = null;
+    user.twoFactorPendingSecret = null;
+    user.twoFactorRecoveryCodes = [];
+    user.twoFactorLastStep = null;
+    await user.save();
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({ message: 'Server error disabling two-factor authentication' });
+  }
+});
+
+module.exports = router;
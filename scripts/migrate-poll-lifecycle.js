@@ -0,0 +1,66 @@
+/**
+ * Poll Lifecycle Migration Script
+ * Polls and submissions used to be deleted by a TTL index on expireAt.
+ * This drops those indexes so ended polls are kept, gives existing polls a
+ * status (open, or closed once expireAt has passed) and removes the old
+ * submission expiry field. Safe to run more than once.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Poll = require('../models/Poll');
+const Submission = require('../models/Submission');
+
+const dropIndexIfExists = async (Model, name) => {
+  const indexes = await Model.collection.indexes();
+  if (indexes.some(index => index.name === name)) {
+    await Model.collection.dropIndex(name);
+    console.log(`✅ Dropped ${Model.collection.collectionName}.${name}`);
+  }
+};
+
+const migrate = async () => {
+  try {
+    console.log('🔌 Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    // Stop MongoDB from deleting polls and results when they end
+    await dropIndexIfExists(Poll, 'expireAt_1');
+    await dropIndexIfExists(Submission, 'expireAt_1');
+
+    const now = new Date();
+    const missing = { status: { $exists: false } };
+
+    const closed = await Poll.collection.updateMany(
+      { ...missing, expireAt: { $lte: now } },
+      { $set: { status: 'closed', opensAt: null, closedAt: null, archivedAt: null, retentionDays: null, purgeAt: null } }
+    );
+    console.log(`✅ Marked ${closed.modifiedCount} ended polls as closed`);
+
+    const open = await Poll.collection.updateMany(
+      missing,
+      { $set: { status: 'open', opensAt: null, closedAt: null, archivedAt: null, retentionDays: null, purgeAt: null } }
+    );
+    console.log(`✅ Marked ${open.modifiedCount} running polls as open`);
+
+    const submissions = await Submission.collection.updateMany(
+      { expireAt: { $exists: true } },
+      { $unset: { expireAt: '' }, $set: { purgeAt: null } }
+    );
+    console.log(`✅ Removed the expiry from ${submissions.modifiedCount} submissions`);
+
+    // Create the new purgeAt TTL indexes
+    await Poll.syncIndexes();
+    await Submission.syncIndexes();
+    console.log('✅ Indexes synced');
+
+    console.log('\n✨ Migration complete!\n');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating database:', error);
+    process.exit(1);
+  }
+};
+
+migrate();
@@ -0,0 +1,40 @@
+/**
+ * Results Visibility Migration Script
+ * Polls now keep their results private unless resultsVisibility says otherwise.
+ * Polls that already streamed their live results publicly are set to "always" so
+ * they keep doing so; every other poll gets the private default. Safe to run more than once.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Poll = require('../models/Poll');
+
+const migrate = async () => {
+  try {
+    console.log('🔌 Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const missing = { resultsVisibility: { $exists: false } };
+
+    const live = await Poll.collection.updateMany(
+      { ...missing, publicLiveResults: true },
+      { $set: { resultsVisibility: 'always', resultsMinCount: 0 } }
+    );
+    console.log(`✅ Kept ${live.modifiedCount} polls with public live results public`);
+
+    const others = await Poll.collection.updateMany(
+      missing,
+      { $set: { resultsVisibility: 'never', resultsMinCount: 0 } }
+    );
+    console.log(`✅ Made the results of ${others.modifiedCount} polls private`);
+
+    console.log('\n✨ Migration complete!\n');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating database:', error);
+    process.exit(1);
+  }
+};
+
+migrate();
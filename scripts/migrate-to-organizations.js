@@ -0,0 +1,76 @@
+/**
+ * Multi-tenant Migration Script
+ * Moves a single-business database to the Organization model:
+ * creates one organization for the existing setup admin and assigns it to
+ * every user, settings document, poll, submission, venue and booking.
+ * Safe to run more than once.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Organization = require('../models/Organization');
+const User = require('../models/User');
+const Settings = require('../models/Settings');
+const Poll = require('../models/Poll');
+const Submission = require('../models/Submission');
+const BookingVenue = require('../models/BookingVenue');
+const Booking = require('../models/Booking');
+
+const missing = { organization: { $exists: false } };
+
+const migrate = async () => {
+  try {
+    console.log('🔌 Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const unassignedUsers = await User.countDocuments(missing);
+    if (unassignedUsers === 0) {
+      console.log('\n✨ Nothing to migrate - every user already belongs to a business.');
+      process.exit(0);
+    }
+
+    // The setup admin is the oldest admin account
+    const owner = await User.findOne({ ...missing, role: 'admin' }).sort({ createdAt: 1 });
+    if (!owner) {
+      throw new Error('No admin account found to own the business');
+    }
+
+    const settings = await Settings.findOne(missing);
+    const name = (settings && settings.businessName) || owner.businessName || 'EventPro';
+
+    const organization = await Organization.create({
+      name,
+      slug: await Organization.generateUniqueSlug(name),
+      owner: owner._id
+    });
+    console.log(`\n🏢 Created business "${organization.name}" (slug: ${organization.slug})`);
+
+    const collections = [
+      ['users', User],
+      ['settings', Settings],
+      ['polls', Poll],
+      ['submissions', Submission],
+      ['booking venues', BookingVenue],
+      ['bookings', Booking]
+    ];
+
+    for (const [label, Model] of collections) {
+      // Bypass the schema so documents missing required fields can still be updated
+      const result = await Model.collection.updateMany(missing, { $set: { organization: organization._id } });
+      console.log(`✅ Assigned ${result.modifiedCount} ${label}`);
+    }
+
+    // Team membership used to be stored as an "owner" reference on each user
+    await User.collection.updateMany({ owner: { $exists: true } }, { $unset: { owner: '' } });
+    console.log('✅ Removed legacy user.owner references');
+
+    console.log('\n✨ Migration complete!\n');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating database:', error);
+    process.exit(1);
+  }
+};
+
+migrate();
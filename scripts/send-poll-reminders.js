@@ -0,0 +1,32 @@
+/**
+ * Poll Reminder Script
+ * Sends queued poll invitations, and emails a reminder to invited guests who haven't
+ * answered an open poll yet. The server does this every POLL_REMINDER_CHECK_MINUTES;
+ * set that to 0 and run this script from cron instead when several server instances
+ * are running.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { sendQueuedInvitations, sendDueReminders } = require('../lib/pollInvitations');
+
+const run = async () => {
+  try {
+    console.log('🔌 Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const invitations = await sendQueuedInvitations();
+    console.log(`✅ Sent ${invitations} queued poll invitation(s)`);
+
+    const sent = await sendDueReminders();
+    console.log(`✅ Sent ${sent} poll reminder(s)`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error sending poll reminders:', error);
+    process.exit(1);
+  }
+};
+
+run();
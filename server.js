@@ -4,18 +4,35 @@ const cors = require('cors');
 const helmet = require('helmet');
 const mongoSanitize = require('express-mongo-sanitize');
 const dbConnect = require('./lib/dbConnect');
+const { startReminderJob } = require('./lib/pollInvitations');
 
 // Import routes
 const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/twoFactor');
+const loginActivityRoutes = require('./routes/loginActivity');
+const apiKeyRoutes = require('./routes/apiKeys');
+const profileRoutes = require('./routes/profile');
 const pollRoutes = require('./routes/polls');
+const pollTemplateRoutes = require('./routes/pollTemplates');
+const pollInviteeRoutes = require('./routes/pollInvitees');
 const publicRoutes = require('./routes/public');
 const resultsRoutes = require('./routes/results');
 const settingsRoutes = require('./routes/settings');
 const bookingVenueRoutes = require('./routes/bookingVenues');
 const bookingRoutes = require('./routes/bookings');
+const teamRoutes = require('./routes/team');
+const auditLogRoutes = require('./routes/auditLogs');
 
 const app = express();
 
+// Behind a reverse proxy, trust X-Forwarded-For so req.ip is the client's address
+// (login lockouts and login history are keyed on it)
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  // A hop count ("1") or an Express trust setting ("loopback", a list of subnets, ...)
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
+}
+
 // Connect to database
 dbConnect();
 
@@ -34,8 +51,9 @@ app.use((req, res, next) => {
   }
 
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-API-Key, X-Tenant, X-Device-Token, X-Edit-Token');
   res.header('Access-Control-Allow-Credentials', 'true');
+  res.header('Access-Control-Expose-Headers', 'Content-Disposition');
   
   // Handle preflight
   if (req.method === 'OPTIONS') {
@@ -96,13 +114,21 @@ const limiter = rateLimit({
 app.use('/api/', limiter);
 
 // Routes
+app.use('/api/auth/2fa', twoFactorRoutes);
+app.use('/api/auth/login-activity', loginActivityRoutes);
+app.use('/api/auth/api-keys', apiKeyRoutes);
+app.use('/api/auth/me', profileRoutes);
 app.use('/api/auth', authRoutes);
+app.use('/api/polls/:pollId/invitees', pollInviteeRoutes);
 app.use('/api/polls', pollRoutes);
+app.use('/api/poll-templates', pollTemplateRoutes);
 app.use('/api/public', publicRoutes);
 app.use('/api/results', resultsRoutes);
 app.use('/api/settings', settingsRoutes);
 app.use('/api/booking-venues', bookingVenueRoutes);
 app.use('/api/bookings', bookingRoutes);
+app.use('/api/team', teamRoutes);
+app.use('/api/audit-logs', auditLogRoutes);
 
 // Root route
 app.get('/', (req, res) => {
@@ -119,4 +145,5 @@ app.use((err, req, res, next) => {
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+  startReminderJob();
 });
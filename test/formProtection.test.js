@@ -0,0 +1,101 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const UsedFormToken = require('../models/UsedFormToken');
+const {
+  HONEYPOT_FIELD,
+  setCaptchaVerifier,
+  readFormProtection,
+  issueFormChallenge,
+  checkForm
+} = require('../lib/formProtection');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const NODE_ENV = process.env.NODE_ENV;
+const captchaOnly = { honeypot: false, minFillSeconds: 0, proofOfWork: 0, captcha: true };
+const request = (body) => ({ body, ip: '127.0.0.1' });
+
+let usedChallenges;
+
+beforeEach(() => {
+  usedChallenges = new Set();
+  mock.method(UsedFormToken, 'create', async ({ challenge }) => {
+    if (usedChallenges.has(challenge)) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    usedChallenges.add(challenge);
+  });
+  mock.method(console, 'error', () => {});
+  setCaptchaVerifier(null);
+  delete process.env.CAPTCHA_PROVIDER;
+  delete process.env.CAPTCHA_LOCAL_TOKEN;
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  if (NODE_ENV === undefined) {
+    delete process.env.NODE_ENV;
+  } else {
+    process.env.NODE_ENV = NODE_ENV;
+  }
+});
+
+test('the local captcha stub accepts nothing without CAPTCHA_LOCAL_TOKEN', async () => {
+  const result = await checkForm(request({ captchaToken: 'anything' }), 'poll:p1', captchaOnly);
+
+  assert.strictEqual(result.error.code, 'CAPTCHA_FAILED');
+});
+
+test('the local captcha stub accepts only its token', async () => {
+  process.env.CAPTCHA_LOCAL_TOKEN = 'let-me-in';
+
+  assert.strictEqual((await checkForm(request({ captchaToken: 'guess' }), 'poll:p1', captchaOnly)).error.code, 'CAPTCHA_FAILED');
+  assert.deepStrictEqual(await checkForm(request({ captchaToken: 'let-me-in' }), 'poll:p1', captchaOnly), { token: null });
+});
+
+test('the local captcha stub refuses to run in production', async () => {
+  process.env.NODE_ENV = 'production';
+  process.env.CAPTCHA_LOCAL_TOKEN = 'let-me-in';
+
+  const result = await checkForm(request({ captchaToken: 'let-me-in' }), 'poll:p1', captchaOnly);
+
+  assert.strictEqual(result.error.status, 503);
+  assert.strictEqual(result.error.code, 'CAPTCHA_UNAVAILABLE');
+});
+
+test('a failing captcha verifier rejects the form', async () => {
+  setCaptchaVerifier({ verify: async () => { throw new Error('provider down'); } });
+
+  const result = await checkForm(request({ captchaToken: 'token' }), 'poll:p1', captchaOnly);
+
+  assert.strictEqual(result.error.code, 'CAPTCHA_UNAVAILABLE');
+});
+
+test('captcha cannot be turned on without a verifier', () => {
+  assert.match(readFormProtection({ captcha: true }).error, /No captcha verifier/);
+
+  process.env.CAPTCHA_LOCAL_TOKEN = 'let-me-in';
+  assert.strictEqual(readFormProtection({ captcha: true }).formProtection.captcha, true);
+});
+
+test('a filled-in honeypot is rejected', async () => {
+  const result = await checkForm(request({ [HONEYPOT_FIELD]: 'https://spam.example' }), 'poll:p1', { honeypot: true });
+
+  assert.strictEqual(result.error.code, 'FORM_REJECTED');
+});
+
+test('a form token works once, and only for its own form', async () => {
+  const settings = { minFillSeconds: 0, proofOfWork: 1 };
+  const { formToken, proofOfWork } = issueFormChallenge('poll:p1', settings);
+  let nonce = 0;
+  while (crypto.createHash('sha256').update(`${proofOfWork.challenge}:${nonce}`).digest()[0] >= 128) {
+    nonce += 1;
+  }
+  const body = { formToken, powNonce: nonce };
+
+  assert.strictEqual((await checkForm(request(body), 'poll:p2', settings)).error.code, 'FORM_TOKEN_INVALID');
+  assert.strictEqual((await checkForm(request({ formToken }), 'poll:p1', settings)).error.code, 'POW_INVALID');
+  assert.deepStrictEqual(await checkForm(request(body), 'poll:p1', settings), { token: proofOfWork.challenge });
+  assert.strictEqual((await checkForm(request(body), 'poll:p1', settings)).error.code, 'FORM_TOKEN_USED');
+});
@@ -0,0 +1,84 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const LoginAttempt = require('../models/LoginAttempt');
+const LoginThrottle = require('../models/LoginThrottle');
+const { getLockStatus, recordFailedLogin, recordSuccessfulLogin } = require('../lib/loginSecurity');
+
+// Failure counters kept in memory instead of MongoDB, keyed like the unique `key` index
+let throttles;
+
+const req = { headers: { 'user-agent': 'test' }, ip: '203.0.113.7' };
+const fail = () => recordFailedLogin({ req, email: 'Ana@Example.com', reason: 'invalid_password' });
+
+beforeEach(() => {
+  throttles = new Map();
+  mock.method(LoginThrottle, 'findOneAndUpdate', async ({ key }, update) => {
+    const throttle = throttles.get(key) || new LoginThrottle({ key, failures: 0 });
+    throttle.failures += update.$inc.failures;
+    Object.assign(throttle, update.$set);
+    throttles.set(key, throttle);
+    return throttle;
+  });
+  mock.method(LoginThrottle, 'find', async ({ key, lockedUntil }) => [...throttles.values()]
+    .filter(throttle => key.$in.includes(throttle.key) && throttle.lockedUntil > lockedUntil.$gt));
+  mock.method(LoginThrottle, 'findOne', async ({ key }) => throttles.get(key) || null);
+  mock.method(LoginThrottle, 'deleteOne', async ({ key }) => ({ deletedCount: throttles.delete(key) ? 1 : 0 }));
+  mock.method(LoginThrottle.prototype, 'save', async function() {
+    return this;
+  });
+  mock.method(LoginAttempt, 'create', async (data) => data);
+  mock.method(LoginAttempt, 'find', () => ({ sort: () => ({ limit: () => ({ select: async () => [] }) }) }));
+});
+
+afterEach(() => mock.restoreAll());
+
+test('an account is locked after five failures in a row', async () => {
+  for (let i = 0; i < 4; i++) {
+    await fail();
+  }
+  assert.deepStrictEqual(await getLockStatus('ana@example.com', '198.51.100.1'), { locked: false });
+
+  await fail();
+
+  const status = await getLockStatus('ana@example.com', '198.51.100.1');
+  assert.strictEqual(status.locked, true);
+  assert.strictEqual(status.scope, 'email');
+  assert.ok(status.retryAfter > 25 && status.retryAfter <= 30);
+});
+
+test('every further failure doubles the lock', async () => {
+  for (let i = 0; i < 6; i++) {
+    await fail();
+  }
+
+  const status = await getLockStatus('ana@example.com', '198.51.100.1');
+  assert.ok(status.retryAfter > 55 && status.retryAfter <= 60);
+});
+
+test('a successful login clears the account counter but not the IP counter', async () => {
+  for (let i = 0; i < 5; i++) {
+    await fail();
+  }
+
+  await recordSuccessfulLogin({ _id: 'u1', email: 'ana@example.com', organization: 'o1' }, req);
+
+  assert.deepStrictEqual(await getLockStatus('ana@example.com', '198.51.100.1'), { locked: false });
+  assert.strictEqual(throttles.get(`ip:${req.ip}`).failures, 5);
+});
+
+test('the first failure retries once when a concurrent request created the counter', async () => {
+  const upsert = LoginThrottle.findOneAndUpdate;
+  let calls = 0;
+  mock.method(LoginThrottle, 'findOneAndUpdate', async (...args) => {
+    calls += 1;
+    if (calls === 1) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    return upsert(...args);
+  });
+
+  await fail();
+
+  assert.strictEqual(throttles.get('email:ana@example.com').failures, 1);
+  assert.strictEqual(throttles.get(`ip:${req.ip}`).failures, 1);
+});
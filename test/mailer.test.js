@@ -0,0 +1,72 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { sendMail, registerTransport, setTransport, getTransport } = require('../lib/mailer');
+
+const memoryTransport = () => {
+  const sent = [];
+  return {
+    sent,
+    async send(message) {
+      sent.push(message);
+      return { delivered: true, transport: 'memory' };
+    }
+  };
+};
+
+afterEach(() => {
+  setTransport(null);
+  delete process.env.MAIL_TRANSPORT;
+  delete process.env.MAIL_FILE_DIR;
+});
+
+test('sendMail hands the message to the transport in use', async () => {
+  const transport = memoryTransport();
+  setTransport(transport);
+
+  const result = await sendMail({ to: 'ana@example.com', subject: 'Hello', text: 'Hi Ana' });
+
+  assert.deepStrictEqual(result, { delivered: true, transport: 'memory' });
+  assert.strictEqual(transport.sent.length, 1);
+  assert.strictEqual(transport.sent[0].to, 'ana@example.com');
+  assert.strictEqual(transport.sent[0].subject, 'Hello');
+  assert.strictEqual(transport.sent[0].html, null);
+  assert.ok(transport.sent[0].from);
+});
+
+test('MAIL_TRANSPORT picks a registered transport', async () => {
+  const transport = memoryTransport();
+  registerTransport('memory', () => transport);
+  process.env.MAIL_TRANSPORT = 'memory';
+
+  await sendMail({ to: 'ana@example.com', subject: 'Hello', text: 'Hi' });
+
+  assert.strictEqual(getTransport(), transport);
+  assert.strictEqual(transport.sent.length, 1);
+});
+
+test('an unknown MAIL_TRANSPORT is an error', () => {
+  process.env.MAIL_TRANSPORT = 'carrier-pigeon';
+
+  assert.throws(() => getTransport(), /Unknown mail transport "carrier-pigeon"/);
+});
+
+test('the file transport writes each message as JSON', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-'));
+  process.env.MAIL_TRANSPORT = 'file';
+  process.env.MAIL_FILE_DIR = dir;
+
+  try {
+    const result = await sendMail({ to: 'ana@example.com', subject: 'Reset', text: 'Your link' });
+
+    const written = JSON.parse(fs.readFileSync(result.file, 'utf8'));
+    assert.strictEqual(path.dirname(result.file), dir);
+    assert.strictEqual(written.to, 'ana@example.com');
+    assert.strictEqual(written.subject, 'Reset');
+    assert.ok(written.sentAt);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
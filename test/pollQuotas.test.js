@@ -0,0 +1,100 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const Poll = require('../models/Poll');
+const { claimCapacity, releaseCapacity } = require('../lib/pollQuotas');
+
+// The poll document as MongoDB would hold it. The fake findOneAndUpdate checks the filter
+// and applies the $inc in one synchronous step, like a single-document update does.
+let stored;
+
+const quotaMatches = (quota, condition) => quota.questionId === condition.questionId &&
+  quota.option === condition.option && quota.count < condition.count.$lt;
+
+const matchesFilter = (filter) => (!filter.responseCount || stored.responseCount < filter.responseCount.$lt) &&
+  (filter.$and || []).every(({ optionQuotas }) => stored.optionQuotas.some(quota => quotaMatches(quota, optionQuotas.$elemMatch)));
+
+const applyIncrements = (increments, arrayFilters = []) => {
+  Object.entries(increments).forEach(([path, step]) => {
+    const match = path.match(/^optionQuotas\.\$\[(q\d+)\]\.count$/);
+    if (!match) {
+      stored[path] += step;
+      return;
+    }
+    const condition = arrayFilters.find(filter => `${match[1]}.questionId` in filter);
+    const quota = stored.optionQuotas.find(entry => entry.questionId === condition[`${match[1]}.questionId`] &&
+      entry.option === condition[`${match[1]}.option`]);
+    quota.count += step;
+  });
+};
+
+const snapshot = () => ({
+  ...stored,
+  optionQuotas: stored.optionQuotas.map(quota => ({ ...quota })),
+  isFull() {
+    return Boolean(this.responseLimit) && this.responseCount >= this.responseLimit;
+  }
+});
+
+beforeEach(() => {
+  stored = {
+    _id: 'p1',
+    responseLimit: 3,
+    responseCount: 0,
+    optionQuotas: [{ questionId: 'size', option: 'L', limit: 1, count: 0 }]
+  };
+  mock.method(Poll, 'findOneAndUpdate', async (filter, update, options) => {
+    await new Promise(resolve => setImmediate(resolve));
+    if (!matchesFilter(filter)) {
+      return null;
+    }
+    applyIncrements(update.$inc, options.arrayFilters);
+    return snapshot();
+  });
+  mock.method(Poll, 'findById', async () => snapshot());
+});
+
+afterEach(() => mock.restoreAll());
+
+const answer = (option) => [{ questionId: 'size', answer: option }];
+
+test('concurrent submissions never take more places than the response limit', async () => {
+  const poll = snapshot();
+
+  const results = await Promise.all(Array.from({ length: 6 }, () => claimCapacity(poll, answer('M'))));
+
+  assert.strictEqual(results.filter(result => !result.full).length, 3);
+  assert.strictEqual(results.filter(result => result.full).length, 3);
+  assert.strictEqual(stored.responseCount, 3);
+});
+
+test('concurrent submissions never take more than an option quota', async () => {
+  const poll = snapshot();
+
+  const results = await Promise.all([claimCapacity(poll, answer('L')), claimCapacity(poll, answer('L'))]);
+
+  assert.strictEqual(results.filter(result => result.quota).length, 1);
+  assert.deepStrictEqual(results.find(result => result.quota).quota, { questionId: 'size', option: 'L' });
+  assert.strictEqual(stored.optionQuotas[0].count, 1);
+  assert.strictEqual(stored.responseCount, 1);
+});
+
+test('releasing gives the places back', async () => {
+  const poll = snapshot();
+  await claimCapacity(poll, answer('L'));
+
+  await releaseCapacity(poll, answer('L'));
+
+  assert.strictEqual(stored.responseCount, 0);
+  assert.strictEqual(stored.optionQuotas[0].count, 0);
+  assert.deepStrictEqual(await claimCapacity(poll, answer('L')), {});
+});
+
+test('changing an answer moves the quota place without taking a response', async () => {
+  const poll = snapshot();
+  await claimCapacity(poll, answer('L'));
+
+  assert.deepStrictEqual(await claimCapacity(poll, answer('M'), { previous: answer('L'), responses: 0 }), {});
+
+  assert.strictEqual(stored.optionQuotas[0].count, 0);
+  assert.strictEqual(stored.responseCount, 1);
+});
@@ -0,0 +1,68 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const { createSession, rotateSession } = require('../lib/sessions');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+// Sessions kept in memory instead of MongoDB
+let sessions;
+
+const matches = (doc, filter) => Object.entries(filter).every(([field, value]) => (value === null
+  ? doc[field] === null || doc[field] === undefined
+  : doc[field] === value));
+
+const req = { headers: { 'user-agent': 'test' }, ip: '127.0.0.1' };
+const user = { _id: new mongoose.Types.ObjectId() };
+
+beforeEach(() => {
+  sessions = [];
+  mock.method(Session, 'create', async (data) => {
+    const session = new Session(data);
+    sessions.push(session);
+    return session;
+  });
+  mock.method(Session, 'findOne', async (filter) => sessions.find(session => matches(session, filter)) || null);
+  mock.method(Session.prototype, 'save', async function() {
+    return this;
+  });
+});
+
+afterEach(() => mock.restoreAll());
+
+test('a refresh token can be exchanged once for a new pair', async () => {
+  const { refreshToken } = await createSession(user, req);
+
+  const rotated = await rotateSession(refreshToken, req);
+
+  assert.ok(rotated);
+  assert.notStrictEqual(rotated.refreshToken, refreshToken);
+  assert.ok(rotated.session.isActive());
+  assert.ok(await rotateSession(rotated.refreshToken, req));
+});
+
+test('re-using a rotated refresh token revokes the session', async () => {
+  const { session, refreshToken } = await createSession(user, req);
+  const rotated = await rotateSession(refreshToken, req);
+
+  // The stolen copy of the old token is presented again
+  assert.strictEqual(await rotateSession(refreshToken, req), null);
+
+  assert.ok(session.revokedAt);
+  assert.strictEqual(session.isActive(), false);
+  // ...and the legitimate holder's new token no longer works either
+  assert.strictEqual(await rotateSession(rotated.refreshToken, req), null);
+});
+
+test('unknown, revoked and expired refresh tokens are refused', async () => {
+  assert.strictEqual(await rotateSession('not-a-token', req), null);
+
+  const revoked = await createSession(user, req);
+  revoked.session.revokedAt = new Date();
+  assert.strictEqual(await rotateSession(revoked.refreshToken, req), null);
+
+  const expired = await createSession(user, req);
+  expired.session.expireAt = new Date(Date.now() - 1000);
+  assert.strictEqual(await rotateSession(expired.refreshToken, req), null);
+});
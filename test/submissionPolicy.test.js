@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const Submission = require('../models/Submission');
+const { buildDedupeKey, dedupeMethod } = require('../lib/submissionPolicy');
+
+const poll = (submissionPolicy, identityMode = 'identified') => ({ _id: 'p1', submissionPolicy, identityMode });
+const device = 'a'.repeat(32);
+
+test('the unique (poll, dedupeKey) index only covers submissions with a key', () => {
+  const index = Submission.schema.indexes().find(([fields]) => fields.poll === 1 && fields.dedupeKey === 1);
+
+  assert.ok(index, 'missing (poll, dedupeKey) index');
+  assert.strictEqual(index[1].unique, true);
+  assert.deepStrictEqual(index[1].partialFilterExpression, { dedupeKey: { $type: 'string' } });
+});
+
+test('unlimited polls store no key, so the index never rejects them', () => {
+  assert.strictEqual(dedupeMethod(poll('unlimited')), null);
+  assert.strictEqual(buildDedupeKey(poll('unlimited'), { email: 'ana@example.com', deviceToken: device }), undefined);
+});
+
+test('one-per-email polls key on the address, whatever its case or spacing', () => {
+  const key = buildDedupeKey(poll('email'), { email: 'ana@example.com' });
+
+  assert.strictEqual(key, 'email:ana@example.com');
+  assert.strictEqual(buildDedupeKey(poll('email'), { email: '  Ana@Example.COM ' }), key);
+});
+
+test('one-per-email polls fall back to the device without an address', () => {
+  assert.strictEqual(dedupeMethod(poll('email', 'anonymous'), { email: 'ana@example.com' }), 'device');
+  assert.strictEqual(dedupeMethod(poll('email'), { email: '' }), 'device');
+});
+
+test('device keys are hashed and stable per device', () => {
+  const key = buildDedupeKey(poll('device'), { deviceToken: device });
+
+  assert.match(key, /^device:/);
+  assert.ok(!key.includes(device));
+  assert.strictEqual(buildDedupeKey(poll('device'), { deviceToken: device }), key);
+  assert.notStrictEqual(buildDedupeKey(poll('device'), { deviceToken: 'b'.repeat(32) }), key);
+});